@@ -3,22 +3,71 @@
  * Connects UI controls with vector field computation and rendering
  */
 
+// Default solid colors assigned to new layers in turn
+const LAYER_COLORS = ['#667eea', '#e74c3c', '#27ae60', '#f39c12', '#8e44ad', '#16a085'];
+
 class VectorFieldApp {
     constructor() {
         // Initialize components
-        this.vectorField = new VectorField();
         this.renderer = new VectorFieldRenderer(document.getElementById('renderCanvas'));
+        this.legend = new ColorLegend(document.getElementById('legendCanvas'));
+
+        // Field layers, drawn in order
+        this.layers = [];
+        this.nextLayerId = 1;
+        this.activeLayerId = null;
         
         // State
         this.isAnimating = false;
         this.animationTime = 0;
         this.animationId = null;
+        this.framePending = false;
+        this.flowId = null;
+        this.stateStore = new AppStateStore();
+        this.sampler = new FieldSampler();
+        this.saveTimer = null;
+        this.videoExporter = null;
+
+        // Integration path: {source: 'draw', points} or {source: 'parametric', expression, sStart, sEnd}
+        this.path = null;
+        this.drawingPath = false;
+
+        // Pinned probes {id, x, y, z}, and the point under the tooltip {point, left, top}
+        this.probes = [];
+        this.nextProbeId = 1;
+        this.tooltip = null;
+
+        // Trajectories seeded by clicks {id, x, y, t0}, with points and arrows once integrated;
+        // key holds the field and solver settings they were integrated with
+        this.trajectories = [];
+        this.nextTrajectoryId = 1;
+        this.fieldVersion = 0;          // Counts field definition changes, so trajectories follow edits
+        this.fieldKey = null;
+
+        // Volumes the worker sampled for the latest render's isosurfaces and 3D equipotentials, by getVolumeKey
+        this.volumes = new Map();
+
+        // Slice planes through the 3D domain, and the one being dragged {slice, point, offset}
+        this.slices = [];
+        this.nextSliceId = 1;
+        this.sliceDrag = null;
+
+        // Expression parameters by name, {value, min, max, step}; kept when an expression stops using them
+        this.parameters = {};
+
+        // Isosurface value, null until the first surface picks the middle of its range
+        this.isoValue = null;
         
         // Initialize UI
         this.initializeUI();
-        
-        // Initial render
-        this.updateVisualization();
+
+        // Restore a shared link or the last session, otherwise start with
+        // one layer that takes the expression already in the input
+        const saved = this.stateStore.load();
+        if (!saved || !this.applyState(saved)) {
+            this.addLayer({ type: 'expression' });
+            this.updateVisualization();
+        }
     }
 
     /**
@@ -36,8 +85,20 @@ class VectorFieldApp {
         // Dimension selector
         const dimensionSelect = document.getElementById('dimension');
         dimensionSelect.addEventListener('change', (e) => {
-            const is3D = e.target.value === '3d';
-            document.getElementById('zRangeGroup').style.display = is3D ? 'flex' : 'none';
+            this.setDimension(e.target.value === '3d');
+            // The tooltip point belongs to the old view
+            this.tooltip = null;
+
+            this.updateVisualization();
+        });
+
+        // Coordinate system
+        document.getElementById('coordinateSystem').addEventListener('change', () => {
+            this.updateVisualization();
+        });
+
+        // Vector field or scalar potential input
+        document.getElementById('inputMode').addEventListener('change', () => {
             this.updateVisualization();
         });
 
@@ -46,11 +107,168 @@ class VectorFieldApp {
             this.updateVisualization();
         });
 
+        // Particle count for the flow mode
+        const particleCountSlider = document.getElementById('particleCount');
+        const particleCountValue = document.getElementById('particleCountValue');
+        particleCountSlider.addEventListener('input', (e) => {
+            particleCountValue.textContent = e.target.value;
+        });
+        particleCountSlider.addEventListener('change', () => {
+            this.updateVisualization();
+        });
+
+        // Streamline seeding
+        document.getElementById('seeding').addEventListener('change', () => {
+            this.updateVisualization();
+        });
+
         // Color mode
         document.getElementById('colorMode').addEventListener('change', () => {
             this.updateVisualization();
         });
 
+        // Solid color of the active layer
+        document.getElementById('layerColor').addEventListener('change', () => {
+            this.updateVisualization();
+        });
+
+        // Colormap and legend
+        ['colormap', 'reverseColormap', 'showLegend'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.updateVisualization();
+            });
+        });
+
+        document.getElementById('boundingBox').addEventListener('change', () => {
+            this.updateVisualization();
+        });
+
+        // Divergence/curl overlay
+        document.getElementById('overlay').addEventListener('change', () => {
+            this.updateVisualization();
+        });
+
+        // Critical point analysis
+        ['criticalPoints', 'separatrices'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.updateVisualization();
+            });
+        });
+
+        // Equipotentials of potential layers
+        document.getElementById('equipotentials').addEventListener('change', () => {
+            this.updateVisualization();
+        });
+        const equipotentialCountSlider = document.getElementById('equipotentialCount');
+        equipotentialCountSlider.addEventListener('input', (e) => {
+            document.getElementById('equipotentialCountValue').textContent = e.target.value;
+        });
+        equipotentialCountSlider.addEventListener('change', () => {
+            this.updateVisualization();
+        });
+
+        // Path integrals
+        document.getElementById('drawPathBtn').addEventListener('click', () => {
+            this.setDrawingPath(!this.drawingPath);
+        });
+
+        document.getElementById('clearPathBtn').addEventListener('click', () => {
+            this.path = null;
+            this.setDrawingPath(false);
+            this.updateVisualization();
+        });
+
+        document.getElementById('closePath').addEventListener('change', () => {
+            this.updateVisualization();
+        });
+
+        document.getElementById('usePathExpressionBtn').addEventListener('click', () => {
+            this.path = {
+                source: 'parametric',
+                expression: document.getElementById('pathExpression').value,
+                sStart: parseFloat(document.getElementById('pathSStart').value) || 0,
+                sEnd: parseFloat(document.getElementById('pathSEnd').value) || 0
+            };
+            this.setDrawingPath(false);
+            this.updateVisualization();
+        });
+
+        // Probes
+        document.getElementById('clearProbesBtn').addEventListener('click', () => {
+            this.probes = [];
+            this.updateVisualization();
+        });
+
+        // Trajectories
+        ['trajectorySolver', 'trajectoryDuration', 'trajectoryStep'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.updateVisualization();
+            });
+        });
+
+        document.getElementById('clearTrajectoriesBtn').addEventListener('click', () => {
+            this.trajectories = [];
+            this.updateVisualization();
+        });
+
+        document.getElementById('exportTrajectoriesBtn').addEventListener('click', () => {
+            this.exportTrajectories();
+        });
+
+        // Isosurfaces: a new quantity starts again in the middle of its range
+        document.getElementById('isoQuantity').addEventListener('change', () => {
+            this.isoValue = null;
+            this.updateVisualization();
+        });
+
+        const isoSlider = document.getElementById('isoValue');
+        isoSlider.addEventListener('input', () => {
+            this.isoValue = parseFloat(isoSlider.value);
+            document.getElementById('isoValueLabel').textContent = this.formatNumber(this.isoValue);
+            this.previewScene();
+        });
+        isoSlider.addEventListener('change', () => this.updateVisualization());
+
+        // Slice planes
+        document.getElementById('sliceAxis').addEventListener('change', (e) => {
+            document.getElementById('sliceNormalGroup').style.display = e.target.value === 'custom' ? 'flex' : 'none';
+        });
+
+        document.getElementById('addSliceBtn').addEventListener('click', () => {
+            this.addSlice();
+        });
+
+        document.getElementById('sliceVolume').addEventListener('change', () => {
+            this.updateVisualization();
+        });
+
+        // Shift+drag on a slice moves it along its normal instead of rotating the view
+        this.renderer.onDragStart = (e) => this.startSliceDrag(e);
+        window.addEventListener('mousemove', (e) => {
+            if (this.sliceDrag) this.moveSliceDrag(e.clientX, e.clientY);
+        });
+        window.addEventListener('mouseup', () => {
+            if (!this.sliceDrag) return;
+            this.sliceDrag = null;
+            this.updateVisualization();
+        });
+
+        // Arrow length scaling and magnitude clipping
+        document.getElementById('lengthScale').addEventListener('change', () => {
+            this.updateVisualization();
+        });
+
+        document.getElementById('clipMode').addEventListener('change', () => {
+            this.updateClipControls();
+            this.updateVisualization();
+        });
+
+        ['clipValue', 'clipPercentile'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.updateVisualization();
+            });
+        });
+
         // Density slider
         const densitySlider = document.getElementById('density');
         const densityValue = document.getElementById('densityValue');
@@ -95,11 +313,154 @@ class VectorFieldApp {
         });
 
         document.getElementById('resetBtn').addEventListener('click', () => {
-            this.renderer.resetView();
+            const { bounds, dimension } = this.getSettings();
+            this.renderer.resetView(bounds, dimension);
         });
 
         document.getElementById('exportBtn').addEventListener('click', () => {
-            this.renderer.exportImage();
+            this.renderer.exportImage(this.legend.entries);
+        });
+
+        document.getElementById('exportSvgBtn').addEventListener('click', () => {
+            if (!this.renderer.lastRender || this.renderer.dimension !== 2) return;
+            new SVGExporter(this.renderer).download({
+                legend: document.getElementById('svgLegend').checked
+            });
+        });
+
+        document.getElementById('exportDataBtn').addEventListener('click', () => {
+            this.exportData();
+        });
+
+        // Video export
+        if (!VideoExporter.supportsWebM()) {
+            const webm = document.querySelector('#videoFormat option[value="webm"]');
+            webm.disabled = true;
+            webm.textContent = 'WebM video (not supported)';
+            document.getElementById('videoFormat').value = 'png';
+        }
+
+        document.getElementById('exportVideoBtn').addEventListener('click', () => {
+            this.exportVideo();
+        });
+
+        document.getElementById('cancelVideoBtn').addEventListener('click', () => {
+            if (this.videoExporter) this.videoExporter.cancel();
+        });
+
+        // Save/load configuration
+        document.getElementById('copyLinkBtn').addEventListener('click', () => {
+            this.saveState();
+            navigator.clipboard.writeText(location.href).catch(e => {
+                console.error('Could not copy link:', e);
+            });
+        });
+
+        document.getElementById('saveConfigBtn').addEventListener('click', () => {
+            this.stateStore.download(this.getState());
+        });
+
+        const configInput = document.getElementById('configFile');
+        document.getElementById('loadConfigBtn').addEventListener('click', () => {
+            configInput.click();
+        });
+        configInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            this.stateStore.readFile(file)
+                .then(state => {
+                    if (!this.applyState(state)) throw new Error('Settings could not be applied');
+                })
+                .catch(err => {
+                    document.getElementById('expressionError').textContent =
+                        `Error: Could not load configuration: ${err.message}`;
+                });
+            configInput.value = '';
+        });
+
+        // Pasting a shared link into an open tab
+        window.addEventListener('hashchange', () => {
+            const state = this.stateStore.readHash();
+            if (state) this.applyState(state);
+        });
+
+        // Keep the camera pose in the saved state
+        const canvas = document.getElementById('renderCanvas');
+        ['mouseup', 'wheel', 'touchend'].forEach(type => {
+            canvas.addEventListener(type, () => this.scheduleSave());
+        });
+
+        // Clicks add path points while drawing, otherwise they probe (3D), pin a probe (Shift)
+        // or seed a trajectory (2D); drags still rotate or pan the view
+        let pressPosition = null;
+        canvas.addEventListener('mousedown', (e) => {
+            pressPosition = { x: e.clientX, y: e.clientY };
+        });
+        canvas.addEventListener('click', (e) => {
+            const moved = pressPosition && Math.hypot(e.clientX - pressPosition.x, e.clientY - pressPosition.y) > 4;
+            if (moved) return;
+
+            if (this.drawingPath) {
+                this.addPathPoint(e.clientX, e.clientY);
+                return;
+            }
+
+            const point = this.pickProbePoint(e.clientX, e.clientY);
+            if (point && e.shiftKey) {
+                this.pinProbe(point);
+            } else if (this.renderer.dimension === 3) {
+                this.showTooltip(point, e.clientX, e.clientY);
+            } else if (point && document.getElementById('seedTrajectories').checked) {
+                this.seedTrajectory(point);
+            }
+        });
+
+        // The 2D view is probed by hovering
+        canvas.addEventListener('mousemove', (e) => {
+            if (this.renderer.dimension !== 2) return;
+            const point = e.buttons === 0 ? this.pickProbePoint(e.clientX, e.clientY) : null;
+            this.showTooltip(point, e.clientX, e.clientY);
+        });
+        canvas.addEventListener('mouseleave', () => this.showTooltip(null));
+
+        // Layers
+        document.getElementById('addLayerBtn').addEventListener('click', () => {
+            this.saveActiveLayer();
+            this.addLayer({ type: 'expression' });
+            this.updateVisualization();
+        });
+
+        document.getElementById('addDerivedBtn').addEventListener('click', () => {
+            const sources = [
+                parseInt(document.getElementById('derivedA').value),
+                parseInt(document.getElementById('derivedB').value)
+            ];
+            if (sources.some(id => isNaN(id))) return;
+
+            this.saveActiveLayer();
+            this.addLayer({
+                type: 'derived',
+                operation: document.getElementById('derivedOp').value,
+                sources
+            });
+            this.updateVisualization();
+        });
+
+        // Data layers from CSV, JSON or VTK files
+        const dataInput = document.getElementById('dataFile');
+        document.getElementById('loadDataBtn').addEventListener('click', () => {
+            dataInput.click();
+        });
+        dataInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            this.loadDataLayer(file).catch(err => {
+                document.getElementById('expressionError').textContent =
+                    `Error: Could not load ${file.name}: ${err.message}`;
+            });
+            dataInput.value = '';
         });
 
         // Preset buttons
@@ -108,9 +469,18 @@ class VectorFieldApp {
             btn.addEventListener('click', (e) => {
                 const expr = e.target.dataset.expr;
                 const dim = e.target.dataset.dim;
+                const coords = e.target.dataset.coords || 'cartesian';
+                const input = e.target.dataset.input || 'vector';
+
+                // Derived and data layers have no expression of their own
+                if (this.getActiveLayer().type !== 'expression') {
+                    this.addLayer({ type: 'expression' });
+                }
                 
                 document.getElementById('vectorExpression').value = expr;
                 document.getElementById('dimension').value = dim;
+                document.getElementById('coordinateSystem').value = coords;
+                document.getElementById('inputMode').value = input;
                 
                 // Show/hide z range
                 const is3D = dim === '3d';
@@ -122,110 +492,1730 @@ class VectorFieldApp {
     }
 
     /**
-     * Get current settings from UI
+     * Switch the dimension control, the z range and every layer's coordinate system to 2D or 3D
      */
-    getSettings() {
-        return {
-            expression: document.getElementById('vectorExpression').value,
-            dimension: document.getElementById('dimension').value === '3d' ? 3 : 2,
-            renderMode: document.getElementById('renderMode').value,
-            colorMode: document.getElementById('colorMode').value,
-            density: parseInt(document.getElementById('density').value),
-            scale: parseFloat(document.getElementById('scale').value),
-            bounds: {
-                xMin: parseFloat(document.getElementById('xMin').value),
-                xMax: parseFloat(document.getElementById('xMax').value),
-                yMin: parseFloat(document.getElementById('yMin').value),
-                yMax: parseFloat(document.getElementById('yMax').value),
-                zMin: parseFloat(document.getElementById('zMin').value),
-                zMax: parseFloat(document.getElementById('zMax').value)
-            },
-            animSpeed: parseFloat(document.getElementById('animSpeed').value)
+    setDimension(is3D) {
+        document.getElementById('dimension').value = is3D ? '3d' : '2d';
+        document.getElementById('zRangeGroup').style.display = is3D ? 'flex' : 'none';
+
+        // Switch every layer to the curvilinear system that matches the new dimension
+        const coordinateSelect = document.getElementById('coordinateSystem');
+        coordinateSelect.value = this.matchCoordinateSystem(coordinateSelect.value, is3D);
+        this.layers.forEach(layer => {
+            layer.coordinateSystem = this.matchCoordinateSystem(layer.coordinateSystem, is3D);
+        });
+    }
+
+    /**
+     * Show the input for the chosen clipping mode
+     */
+    updateClipControls() {
+        const mode = document.getElementById('clipMode').value;
+        document.getElementById('clipValueGroup').style.display = mode === 'value' ? 'flex' : 'none';
+        document.getElementById('clipPercentileGroup').style.display = mode === 'percentile' ? 'flex' : 'none';
+    }
+
+    /**
+     * Curvilinear system equivalent to the given one in 2D or 3D
+     */
+    matchCoordinateSystem(system, is3D) {
+        if (is3D && system === 'polar') return 'cylindrical';
+        if (!is3D && system !== 'cartesian') return 'polar';
+        return system;
+    }
+
+    /**
+     * Create a layer and make it the active one
+     * @param {object} props - {type: 'expression'}, {type: 'derived', operation, sources: [idA, idB]}
+     *   or {type: 'data', dataset} with a dataset from FieldDataReader.read
+     */
+    addLayer(props) {
+        const id = this.nextLayerId++;
+        const field = this.createField(props.type);
+        const active = this.getActiveLayer();
+
+        const layer = {
+            id,
+            name: `Layer ${id}`,
+            type: props.type,
+            expression: props.type !== 'expression' || (active && active.type !== 'expression')
+                ? ''
+                : document.getElementById('vectorExpression').value,
+            coordinateSystem: document.getElementById('coordinateSystem').value,
+            inputMode: document.getElementById('inputMode').value,
+            operation: props.operation || null,
+            sources: props.sources || [],
+            dataset: props.dataset || null,
+            dataName: props.dataset ? props.dataset.name : null,
+            renderMode: active ? active.renderMode : document.getElementById('renderMode').value,
+            colorMode: active ? active.colorMode : document.getElementById('colorMode').value,
+            color: LAYER_COLORS[(id - 1) % LAYER_COLORS.length],
+            visible: true,
+            error: null,
+            field,
+            tracer: new StreamlineTracer(field),
+            advector: new ParticleAdvector(field),
+            maxMag: 0
         };
+
+        this.layers.push(layer);
+        this.activeLayerId = id;
+        this.loadLayerControls(layer);
+        this.renderLayerList();
+        return layer;
     }
 
     /**
-     * Update visualization with current settings
+     * Field object for a layer type
      */
-    updateVisualization() {
-        const settings = this.getSettings();
-        const errorDiv = document.getElementById('expressionError');
+    createField(type) {
+        if (type === 'derived') return new DerivedVectorField();
+        if (type === 'data') return new DataVectorField();
+        return new VectorField();
+    }
 
-        // Parse vector field
-        const success = this.vectorField.parse(settings.expression, settings.dimension);
-        
-        if (!success) {
-            errorDiv.textContent = `Error: ${this.vectorField.error}`;
+    /**
+     * Add a layer for a data file, switching to 3D for 3D data and fitting the domain to the points
+     */
+    loadDataLayer(file) {
+        return file.text().then(text => {
+            const dataset = FieldDataReader.read(text, file.name);
+            this.saveActiveLayer();
+            this.addLayer({ type: 'data', dataset });
+
+            if (dataset.dimension === 3) this.setDimension(true);
+            const { bounds } = dataset;
+            ['x', 'y', 'z'].forEach(axis => {
+                // Planar data keeps the z range, it is constant along z
+                if (bounds[`${axis}Max`] === bounds[`${axis}Min`]) return;
+                document.getElementById(`${axis}Min`).value = bounds[`${axis}Min`];
+                document.getElementById(`${axis}Max`).value = bounds[`${axis}Max`];
+            });
+            this.tooltip = null;
+            this.updateVisualization();
+        });
+    }
+
+    /**
+     * Remove a layer unless a derived layer still uses it
+     */
+    removeLayer(id) {
+        const dependent = this.layers.find(layer => layer.sources.includes(id));
+        if (dependent) {
+            document.getElementById('expressionError').textContent =
+                `Error: ${this.getLayer(id).name} is used by ${dependent.name}`;
             return;
-        } else {
-            errorDiv.textContent = '';
         }
+        if (this.layers.length === 1) return;
 
-        // Generate field samples
-        const samples = this.vectorField.generateGrid(
-            settings.bounds,
-            settings.density,
-            this.animationTime
-        );
+        this.layers = this.layers.filter(layer => layer.id !== id);
+        if (this.activeLayerId === id) {
+            this.activeLayerId = this.layers[this.layers.length - 1].id;
+            this.loadLayerControls(this.getActiveLayer());
+        }
+        this.renderLayerList();
+        this.updateVisualization();
+    }
 
-        // Find max magnitude
-        const maxMag = this.vectorField.findMaxMagnitude(samples);
+    /**
+     * Make a layer active and show its settings in the controls
+     */
+    selectLayer(id) {
+        if (id === this.activeLayerId) return;
 
-        // Update stats
-        document.getElementById('pointCount').textContent = samples.length;
-        document.getElementById('maxMag').textContent = maxMag.toFixed(2);
+        this.saveActiveLayer();
+        this.activeLayerId = id;
+        this.loadLayerControls(this.getActiveLayer());
+        this.updateVisualization();
+    }
 
-        // Render
-        this.renderer.renderVectorField(samples, {
-            dimension: settings.dimension,
-            renderMode: settings.renderMode,
-            colorMode: settings.colorMode,
-            scale: settings.scale,
-            maxMag: maxMag
-        });
+    getLayer(id) {
+        return this.layers.find(layer => layer.id === id);
+    }
+
+    getActiveLayer() {
+        return this.getLayer(this.activeLayerId);
     }
 
     /**
-     * Start animation loop
+     * Copy the per-layer controls into the active layer
      */
-    startAnimation() {
-        const animate = () => {
-            if (!this.isAnimating) return;
+    saveActiveLayer(settings = this.getSettings()) {
+        const layer = this.getActiveLayer();
+        if (!layer) return;
 
-            const settings = this.getSettings();
-            this.animationTime += 0.016 * settings.animSpeed; // ~60fps
+        if (layer.type === 'expression') {
+            layer.expression = settings.expression;
+            layer.coordinateSystem = settings.coordinateSystem;
+            layer.inputMode = settings.inputMode;
+        }
+        layer.renderMode = settings.renderMode;
+        layer.colorMode = settings.colorMode;
+        layer.color = settings.layerColor;
+    }
 
-            // Update visualization with new time
-            const samples = this.vectorField.generateGrid(
-                settings.bounds,
-                settings.density,
-                this.animationTime
-            );
+    /**
+     * Show a layer's settings in the per-layer controls
+     */
+    loadLayerControls(layer) {
+        const expressionInput = document.getElementById('vectorExpression');
+        const isExpression = layer.type === 'expression';
 
-            const maxMag = this.vectorField.findMaxMagnitude(samples);
+        expressionInput.value = isExpression ? layer.expression : this.describeLayer(layer);
+        expressionInput.disabled = !isExpression;
+        document.getElementById('coordinateSystem').disabled = !isExpression;
+        document.getElementById('inputMode').disabled = !isExpression;
+        if (isExpression) {
+            document.getElementById('coordinateSystem').value = layer.coordinateSystem;
+            document.getElementById('inputMode').value = layer.inputMode;
+        }
+        document.getElementById('renderMode').value = layer.renderMode;
+        document.getElementById('colorMode').value = layer.colorMode;
+        document.getElementById('layerColor').value = layer.color;
+    }
 
-            this.renderer.renderVectorField(samples, {
-                dimension: settings.dimension,
-                renderMode: settings.renderMode,
-                colorMode: settings.colorMode,
-                scale: settings.scale,
-                maxMag: maxMag
+    /**
+     * Short text describing what a layer shows
+     */
+    describeLayer(layer) {
+        if (layer.type === 'expression') {
+            if (layer.inputMode === 'gradient') return `∇(${layer.expression})`;
+            if (layer.inputMode === 'negativeGradient') return `−∇(${layer.expression})`;
+            return layer.expression;
+        }
+        if (layer.type === 'data') {
+            return layer.dataset ? `${layer.dataName} (${layer.dataset.count} points)` : layer.dataName;
+        }
+
+        const [a, b] = layer.sources.map(id => this.getLayer(id));
+        const symbol = { sum: '+', difference: '−', cross: '×' }[layer.operation];
+        return `${a ? a.name : '?'} ${symbol} ${b ? b.name : '?'}`;
+    }
+
+    /**
+     * Rebuild the layer list and the source selectors for derived layers
+     */
+    renderLayerList() {
+        const list = document.getElementById('layerList');
+        list.innerHTML = '';
+
+        this.layers.forEach(layer => {
+            const item = document.createElement('div');
+            item.className = 'layer-item';
+            if (layer.id === this.activeLayerId) item.classList.add('active');
+            if (layer.error) {
+                item.classList.add('has-error');
+                item.title = layer.error;
+            }
+
+            const visible = document.createElement('input');
+            visible.type = 'checkbox';
+            visible.checked = layer.visible;
+            visible.title = 'Show layer';
+            visible.addEventListener('change', (e) => {
+                layer.visible = e.target.checked;
+                this.updateVisualization();
             });
 
-            this.animationId = requestAnimationFrame(animate);
-        };
+            const swatch = document.createElement('span');
+            swatch.className = 'layer-swatch';
+            swatch.style.background = layer.color;
 
-        animate();
+            const label = document.createElement('span');
+            label.className = 'layer-label';
+            label.textContent = `${layer.name}: ${this.describeLayer(layer)}`;
+
+            const remove = document.createElement('button');
+            remove.className = 'layer-remove';
+            remove.textContent = '×';
+            remove.title = 'Remove layer';
+            remove.disabled = this.layers.length === 1;
+            remove.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.removeLayer(layer.id);
+            });
+
+            item.addEventListener('click', () => this.selectLayer(layer.id));
+            item.append(visible, swatch, label, remove);
+            list.appendChild(item);
+        });
+
+        ['derivedA', 'derivedB'].forEach((selectId, index) => {
+            const select = document.getElementById(selectId);
+            const previous = select.value;
+            select.innerHTML = '';
+            this.layers.forEach(layer => {
+                const option = document.createElement('option');
+                option.value = layer.id;
+                option.textContent = layer.name;
+                select.appendChild(option);
+            });
+            const fallback = this.layers[Math.min(index, this.layers.length - 1)];
+            select.value = this.getLayer(parseInt(previous)) ? previous : fallback.id;
+        });
     }
 
     /**
-     * Stop animation
+     * Values of the parameters by name, for the math.js scope
      */
-    stopAnimation() {
-        if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
-            this.animationId = null;
-        }
+    getParameterValues() {
+        const values = {};
+        Object.entries(this.parameters).forEach(([name, parameter]) => {
+            values[name] = parameter.value;
+        });
+        return values;
+    }
+
+    /**
+     * One slider per parameter the layer expressions use, new parameters start at 1 in [-5, 5]
+     */
+    renderParameterList() {
+        const names = new Set();
+        this.layers.forEach(layer => {
+            if (layer.type === 'expression' && !layer.error) layer.field.parameterNames.forEach(name => names.add(name));
+        });
+
+        const list = document.getElementById('parameterList');
+        list.innerHTML = '';
+        document.getElementById('parameterGroup').style.display = names.size > 0 ? 'block' : 'none';
+
+        [...names].sort().forEach(name => {
+            if (!this.parameters[name]) {
+                this.parameters[name] = { value: 1, min: -5, max: 5, step: 0.1 };
+            }
+            const parameter = this.parameters[name];
+
+            const item = document.createElement('div');
+            item.className = 'parameter-item';
+
+            const label = document.createElement('div');
+            label.className = 'parameter-label';
+            label.textContent = `${name} = ${this.formatNumber(parameter.value)}`;
+
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = parameter.min;
+            slider.max = parameter.max;
+            slider.step = parameter.step;
+            slider.value = parameter.value;
+            slider.addEventListener('input', () => {
+                parameter.value = parseFloat(slider.value);
+                label.textContent = `${name} = ${this.formatNumber(parameter.value)}`;
+                this.previewScene();
+            });
+            slider.addEventListener('change', () => this.updateVisualization());
+
+            // Editable slider range
+            const range = document.createElement('div');
+            range.className = 'form-group inline parameter-range';
+            ['min', 'max', 'step'].forEach(key => {
+                const text = document.createElement('span');
+                text.textContent = key;
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.value = parameter[key];
+                input.step = 'any';
+                input.addEventListener('change', () => {
+                    const value = parseFloat(input.value);
+                    const next = { ...parameter, [key]: value };
+                    if (!Number.isFinite(value) || next.min >= next.max || !(next.step > 0)) {
+                        input.value = parameter[key];
+                        return;
+                    }
+                    parameter[key] = value;
+                    parameter.value = Math.min(parameter.max, Math.max(parameter.min, parameter.value));
+                    this.updateVisualization();
+                });
+                range.append(text, input);
+            });
+
+            item.append(label, slider, range);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Collect everything needed to restore the current view
+     */
+    getState() {
+        const settings = this.getSettings();
+        this.saveActiveLayer(settings);
+
+        return {
+            settings: {
+                dimension: settings.dimension,
+                density: settings.density,
+                scale: settings.scale,
+                lengthScale: settings.lengthScale,
+                clipMode: settings.clipMode,
+                clipValue: settings.clipValue,
+                clipPercentile: settings.clipPercentile,
+                colormap: settings.colormap,
+                reverseColormap: settings.reverseColormap,
+                showLegend: settings.showLegend,
+                bounds: settings.bounds,
+                boundingBox: settings.boundingBox,
+                animSpeed: settings.animSpeed,
+                seeding: settings.seeding,
+                overlay: settings.overlay,
+                criticalPoints: settings.criticalPoints,
+                equipotentials: settings.equipotentials,
+                equipotentialCount: settings.equipotentialCount,
+                separatrices: settings.separatrices,
+                particleCount: settings.particleCount,
+                closePath: settings.closePath,
+                probePlane: settings.probePlane,
+                probeOffset: settings.probeOffset,
+                seedTrajectories: settings.seedTrajectories,
+                trajectorySolver: settings.trajectorySolver,
+                trajectoryDuration: settings.trajectoryDuration,
+                trajectoryStep: settings.trajectoryStep,
+                sliceVolume: settings.sliceVolume,
+                isoQuantity: settings.isoQuantity,
+                isoValue: this.isoValue
+            },
+            parameters: this.parameters,
+            path: this.path,
+            probes: this.probes.map(({ x, y, z }) => ({ x, y, z })),
+            trajectories: this.trajectories.map(({ x, y, t0 }) => ({ x, y, t0 })),
+            slices: this.slices.map(({ normal, offset, mode }) => ({ normal, offset, mode })),
+            layers: this.layers.map(layer => ({
+                id: layer.id,
+                type: layer.type,
+                expression: layer.expression,
+                coordinateSystem: layer.coordinateSystem,
+                inputMode: layer.inputMode,
+                operation: layer.operation,
+                sources: layer.sources,
+                dataName: layer.dataName,
+                renderMode: layer.renderMode,
+                colorMode: layer.colorMode,
+                color: layer.color,
+                visible: layer.visible
+            })),
+            activeLayerId: this.activeLayerId,
+            camera: this.renderer.getCameraState()
+        };
+    }
+
+    /**
+     * Restore a state from getState: controls, layers and camera
+     * @returns {boolean} - True if the state was applied
+     */
+    applyState(state) {
+        const { settings, camera } = state;
+        const setValue = (id, value) => {
+            if (value !== undefined && value !== null) document.getElementById(id).value = value;
+        };
+
+        try {
+            setValue('dimension', settings.dimension === 3 ? '3d' : '2d');
+            setValue('density', settings.density);
+            setValue('scale', settings.scale);
+            setValue('lengthScale', settings.lengthScale);
+            setValue('clipMode', settings.clipMode);
+            setValue('clipValue', settings.clipValue);
+            setValue('clipPercentile', settings.clipPercentile);
+            setValue('colormap', settings.colormap);
+            document.getElementById('reverseColormap').checked = !!settings.reverseColormap;
+            document.getElementById('showLegend').checked = settings.showLegend !== false;
+            this.updateClipControls();
+            setValue('animSpeed', settings.animSpeed);
+            setValue('seeding', settings.seeding);
+            setValue('overlay', settings.overlay);
+            document.getElementById('criticalPoints').checked = !!settings.criticalPoints;
+            document.getElementById('separatrices').checked = !!settings.separatrices;
+            document.getElementById('equipotentials').checked = !!settings.equipotentials;
+            setValue('equipotentialCount', settings.equipotentialCount);
+            setValue('particleCount', settings.particleCount);
+            document.getElementById('closePath').checked = !!settings.closePath;
+            setValue('probePlane', settings.probePlane);
+            setValue('probeOffset', settings.probeOffset);
+            document.getElementById('seedTrajectories').checked = settings.seedTrajectories !== false;
+            setValue('trajectorySolver', settings.trajectorySolver);
+            setValue('trajectoryDuration', settings.trajectoryDuration);
+            setValue('trajectoryStep', settings.trajectoryStep);
+            setValue('sliceVolume', settings.sliceVolume);
+            setValue('isoQuantity', settings.isoQuantity);
+            this.isoValue = Number.isFinite(settings.isoValue) ? settings.isoValue : null;
+            Object.entries(settings.bounds || {}).forEach(([key, value]) => setValue(key, value));
+            document.getElementById('boundingBox').checked = settings.boundingBox !== false;
+
+            // Slider labels and the z range follow the restored values
+            document.getElementById('densityValue').textContent = document.getElementById('density').value;
+            document.getElementById('scaleValue').textContent =
+                parseFloat(document.getElementById('scale').value).toFixed(2);
+            document.getElementById('animSpeedValue').textContent =
+                parseFloat(document.getElementById('animSpeed').value).toFixed(1);
+            document.getElementById('particleCountValue').textContent = document.getElementById('particleCount').value;
+            document.getElementById('equipotentialCountValue').textContent =
+                document.getElementById('equipotentialCount').value;
+            document.getElementById('zRangeGroup').style.display = settings.dimension === 3 ? 'flex' : 'none';
+
+            this.layers = state.layers.map(saved => {
+                const type = ['derived', 'data'].includes(saved.type) ? saved.type : 'expression';
+                const field = this.createField(type);
+                return {
+                    id: saved.id,
+                    name: `Layer ${saved.id}`,
+                    type,
+                    expression: saved.expression || '',
+                    coordinateSystem: saved.coordinateSystem || 'cartesian',
+                    inputMode: saved.inputMode || 'vector',
+                    operation: saved.operation || null,
+                    sources: saved.sources || [],
+                    // Data is too large for links and storage, so data layers come back empty
+                    dataset: null,
+                    dataName: saved.dataName || null,
+                    renderMode: saved.renderMode || 'arrows',
+                    colorMode: saved.colorMode || 'magnitude',
+                    color: saved.color || LAYER_COLORS[0],
+                    visible: saved.visible !== false,
+                    error: null,
+                    field,
+                    tracer: new StreamlineTracer(field),
+                    advector: new ParticleAdvector(field),
+                    maxMag: 0
+                };
+            });
+            this.nextLayerId = Math.max(...this.layers.map(layer => layer.id)) + 1;
+            this.activeLayerId = this.getLayer(state.activeLayerId) ? state.activeLayerId : this.layers[0].id;
+            this.loadLayerControls(this.getActiveLayer());
+
+            this.parameters = state.parameters || {};
+            this.path = state.path || null;
+            if (this.path && this.path.source === 'parametric') {
+                setValue('pathExpression', this.path.expression);
+                setValue('pathSStart', this.path.sStart);
+                setValue('pathSEnd', this.path.sEnd);
+            }
+            this.setDrawingPath(false);
+
+            this.probes = (state.probes || []).map((probe, index) => ({ id: index + 1, ...probe }));
+            this.nextProbeId = this.probes.length + 1;
+            this.tooltip = null;
+
+            this.trajectories = (state.trajectories || []).map((trajectory, index) => ({ id: index + 1, ...trajectory }));
+            this.nextTrajectoryId = this.trajectories.length + 1;
+
+            this.slices = (state.slices || []).map((slice, index) => new SlicePlane({ id: index + 1, ...slice }));
+            this.nextSliceId = this.slices.length + 1;
+        } catch (e) {
+            console.error('Could not apply state:', e);
+            return false;
+        }
+
+        this.renderer.setCameraState(camera);
+        this.updateVisualization();
+        return true;
+    }
+
+    /**
+     * Save the state to the URL and localStorage
+     */
+    saveState() {
+        clearTimeout(this.saveTimer);
+        this.stateStore.save(this.getState());
+    }
+
+    /**
+     * Save shortly after the last of a burst of changes (e.g. wheel zooming)
+     */
+    scheduleSave() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.saveState(), 300);
+    }
+
+    /**
+     * Get current settings from UI
+     */
+    getSettings() {
+        return {
+            expression: document.getElementById('vectorExpression').value,
+            dimension: document.getElementById('dimension').value === '3d' ? 3 : 2,
+            coordinateSystem: document.getElementById('coordinateSystem').value,
+            inputMode: document.getElementById('inputMode').value,
+            renderMode: document.getElementById('renderMode').value,
+            colorMode: document.getElementById('colorMode').value,
+            layerColor: document.getElementById('layerColor').value,
+            colormap: document.getElementById('colormap').value,
+            reverseColormap: document.getElementById('reverseColormap').checked,
+            showLegend: document.getElementById('showLegend').checked,
+            seeding: document.getElementById('seeding').value,
+            overlay: document.getElementById('overlay').value,
+            criticalPoints: document.getElementById('criticalPoints').checked,
+            separatrices: document.getElementById('separatrices').checked,
+            equipotentials: document.getElementById('equipotentials').checked,
+            equipotentialCount: parseInt(document.getElementById('equipotentialCount').value),
+            particleCount: parseInt(document.getElementById('particleCount').value),
+            closePath: document.getElementById('closePath').checked,
+            probePlane: document.getElementById('probePlane').value,
+            probeOffset: parseFloat(document.getElementById('probeOffset').value) || 0,
+            seedTrajectories: document.getElementById('seedTrajectories').checked,
+            trajectorySolver: document.getElementById('trajectorySolver').value,
+            trajectoryDuration: Math.max(1e-3, parseFloat(document.getElementById('trajectoryDuration').value) || 10),
+            trajectoryStep: Math.max(1e-6, parseFloat(document.getElementById('trajectoryStep').value) || 0.01),
+            sliceVolume: document.getElementById('sliceVolume').value,
+            isoQuantity: document.getElementById('isoQuantity').value,
+            density: parseInt(document.getElementById('density').value),
+            scale: parseFloat(document.getElementById('scale').value),
+            lengthScale: document.getElementById('lengthScale').value,
+            clipMode: document.getElementById('clipMode').value,
+            clipValue: parseFloat(document.getElementById('clipValue').value),
+            clipPercentile: parseFloat(document.getElementById('clipPercentile').value),
+            bounds: {
+                xMin: parseFloat(document.getElementById('xMin').value),
+                xMax: parseFloat(document.getElementById('xMax').value),
+                yMin: parseFloat(document.getElementById('yMin').value),
+                yMax: parseFloat(document.getElementById('yMax').value),
+                zMin: parseFloat(document.getElementById('zMin').value),
+                zMax: parseFloat(document.getElementById('zMax').value)
+            },
+            boundingBox: document.getElementById('boundingBox').checked,
+            animSpeed: parseFloat(document.getElementById('animSpeed').value)
+        };
+    }
+
+    /**
+     * Update visualization with current settings
+     */
+    updateVisualization() {
+        const settings = this.getSettings();
+        const errorDiv = document.getElementById('expressionError');
+
+        this.saveActiveLayer(settings);
+
+        // Parse vector fields, sources first since derived layers only refer to earlier ones
+        this.layers.forEach(layer => this.parseLayer(layer, settings));
+        const fieldKey = JSON.stringify([this.layers.map(layer => this.getLayerSpec(layer)), settings.dimension], (name, value) => {
+            return name === 'dataset' && value ? FieldSampler.getDatasetKey(value) : value;
+        });
+        if (fieldKey !== this.fieldKey) {
+            this.fieldKey = fieldKey;
+            this.fieldVersion++;
+        }
+        this.renderLayerList();
+        this.renderParameterList();
+        this.updateModeControls();
+
+        const active = this.getActiveLayer();
+        errorDiv.textContent = active.error ? `Error: ${active.error}` : '';
+
+        this.renderScene(settings).catch(e => this.reportRenderError(e));
+
+        // SVG export is a flat projection, so only offer it for 2D fields
+        document.getElementById('exportSvgBtn').disabled = settings.dimension !== 2;
+        // Paths live in the z = 0 plane
+        document.getElementById('drawPathBtn').disabled = settings.dimension !== 2;
+        if (settings.dimension !== 2) this.setDrawingPath(false);
+        document.getElementById('addSliceBtn').disabled = settings.dimension !== 3;
+        this.renderSliceList(settings);
+
+        if (this.layers.some(layer => layer.visible && !layer.error && layer.renderMode === 'flow')) {
+            this.startParticleFlow();
+        } else {
+            this.stopParticleFlow();
+        }
+
+        this.scheduleSave();
+    }
+
+    /**
+     * Parse one layer's field, or combine its sources for derived layers
+     */
+    parseLayer(layer, settings) {
+        if (layer.type === 'derived') {
+            const [a, b] = layer.sources.map(id => this.getLayer(id));
+            layer.field.combine(layer.operation, a && a.field, b && b.field, settings.dimension);
+        } else if (layer.type === 'data') {
+            layer.field.load(layer.dataset, settings.dimension);
+        } else {
+            layer.field.parse(layer.expression, settings.dimension, layer.coordinateSystem, layer.inputMode);
+        }
+        layer.error = layer.field.error;
+    }
+
+    /**
+     * What the sampling worker needs to parse a layer
+     */
+    getLayerSpec(layer) {
+        return {
+            id: layer.id,
+            type: layer.type,
+            expression: layer.expression,
+            coordinateSystem: layer.coordinateSystem,
+            inputMode: layer.inputMode,
+            operation: layer.operation,
+            sources: layer.sources,
+            dataset: layer.dataset
+        };
+    }
+
+    /**
+     * Show the streamline and particle controls when a layer uses those modes
+     */
+    updateModeControls() {
+        const uses = mode => this.layers.some(layer => layer.renderMode === mode);
+        document.getElementById('seedingGroup').style.display = uses('lines') ? 'block' : 'none';
+        document.getElementById('particleCountGroup').style.display = uses('flow') ? 'block' : 'none';
+        document.getElementById('isosurfaceGroup').style.display = uses('isosurface') ? 'block' : 'none';
+    }
+
+    /**
+     * Sample every visible layer and render them together
+     * Stats and overlays belong to the active layer
+     * @returns {Promise<boolean>} - False if newer settings superseded this render
+     */
+    renderScene(settings) {
+        const active = this.getActiveLayer();
+        const parameters = this.getParameterValues();
+        this.layers.forEach(layer => {
+            layer.field.parameters = parameters;
+        });
+        const parsed = this.layers.filter(layer => !layer.error);
+        const sampled = parsed.filter(layer => layer.visible || layer === active);
+        const showOverlay = !active.error && settings.overlay !== 'none';
+        const volumeRequests = this.getVolumeRequests(sampled, active, settings);
+
+        return this.sampler.sample({
+            layers: parsed.map(layer => this.getLayerSpec(layer)),
+            fields: new Map(parsed.map(layer => [layer.id, layer.field])),
+            parameters,
+            dimension: settings.dimension,
+            bounds: settings.bounds,
+            density: settings.density,
+            t: this.animationTime,
+            sampleIds: sampled.map(layer => layer.id),
+            derivativesFor: active.error ? null : active.id,
+            // Heatmap for the divergence/curl overlay in 2D
+            overlay: showOverlay && settings.dimension === 2 ? settings.overlay : null,
+            overlayResolution: Math.max(60, settings.density * 4),
+            // Volumes of earlier renders are reused while the field, domain and t they depend on stay the same
+            volumes: volumeRequests.filter(request => !this.volumes.has(request.key))
+        }).then(response => {
+            if (!response) return false;
+
+            const volumes = new Map(response.volumes.map(({ key, grid }) => [key, grid]));
+            volumeRequests.forEach(({ key }) => {
+                if (!volumes.has(key) && this.volumes.has(key)) volumes.set(key, this.volumes.get(key));
+            });
+            this.volumes = volumes;
+            const volumeOf = (id, quantity) => {
+                const request = volumeRequests.find(r => r.id === id && r.quantity === quantity);
+                return request ? volumes.get(request.key) : null;
+            };
+
+            // Isosurface colors are picked from the colormaps while the layers are prepared
+            this.renderer.setColormap(settings.colormap, settings.reverseColormap);
+
+            let overlaySamples = null;
+            const layerData = response.results.map(({ id, samples, maxMag }) => {
+                const layer = this.getLayer(id);
+                // Colors, arrow lengths and particle speeds saturate at the clipping threshold
+                layer.maxMag = this.getClipMagnitude(layer.field, samples, maxMag, settings);
+                layer.field.normalizeVectors(samples, layer.maxMag, settings.lengthScale);
+
+                if (layer === active) {
+                    overlaySamples = samples;
+
+                    // Update stats
+                    document.getElementById('pointCount').textContent = samples.count;
+                    document.getElementById('maxMag').textContent = maxMag.toFixed(2);
+                    this.updateDerivativeStats(layer.field, samples);
+                    this.updateSampleStats(samples);
+                }
+
+                return {
+                    layer,
+                    samples,
+                    renderMode: layer.renderMode,
+                    colorMode: layer.colorMode,
+                    color: layer.color,
+                    maxMag: layer.maxMag,
+                    streamlines: this.traceStreamlines(layer, settings),
+                    advector: this.prepareParticleFlow(layer, settings),
+                    isosurface: this.extractIsosurface(layer, settings, volumeOf(id, settings.isoQuantity))
+                };
+            }).filter(data => data.layer.visible);
+
+            const slices = this.sampleSlices(active, settings);
+            const equipotentials = this.traceEquipotentials(active, settings, volumeOf(active.id, 'potential'));
+            const analysis = this.analyzeCriticalPoints(active, settings);
+            const path = this.analyzePath(active, settings);
+            const trajectories = this.traceTrajectories(active, settings);
+            this.updateProbes();
+            this.updateIsoControls(layerData, active);
+
+            const colorbars = this.getColorbars(layerData, active, overlaySamples, response.scalarGrid, equipotentials, settings);
+            this.legend.show(settings.showLegend ? colorbars : []);
+
+            // Slices take over from the volume field, which is dimmed or hidden
+            const slicing = slices.length > 0 && settings.sliceVolume !== 'show';
+
+            // Render
+            this.renderer.renderLayers(slicing && settings.sliceVolume === 'hide' ? [] : layerData, {
+                dimension: settings.dimension,
+                scale: settings.scale,
+                overlay: showOverlay ? settings.overlay : 'none',
+                scalarGrid: response.scalarGrid,
+                bounds: settings.bounds,
+                overlaySamples,
+                equipotentials,
+                criticalPoints: analysis.points,
+                separatrices: analysis.separatrices,
+                path,
+                probes: this.probes,
+                slices,
+                trajectories,
+                volumeOpacity: slicing ? 0.15 : 1,
+                boundingBox: settings.boundingBox,
+                colorbars
+            });
+            return true;
+        });
+    }
+
+    /**
+     * Colorbars for the legend: magnitudes of the active layer (or the first visible one
+     * colored by magnitude), the signed divergence/curl overlay and the equipotential levels
+     * @returns {array} - Array of {title, min, max, colormap}
+     */
+    getColorbars(layerData, active, overlaySamples, scalarGrid, equipotentials, settings) {
+        const colorbars = [];
+        const magnitudeLayers = layerData.filter(data => data.colorMode === 'magnitude' && !data.layer.error);
+        const shown = magnitudeLayers.find(data => data.layer === active) || magnitudeLayers[0];
+
+        if (shown) {
+            colorbars.push({
+                title: shown.samples.clippedCount > 0 ? '|F| (clipped)' : '|F|',
+                min: 0,
+                max: shown.maxMag,
+                colormap: this.renderer.colormap
+            });
+        }
+
+        // Same ranges the heatmap and the 3D divergence points are colored with
+        let absMax = null;
+        if (settings.dimension === 2 && scalarGrid) {
+            absMax = Math.max(Math.abs(scalarGrid.min), Math.abs(scalarGrid.max));
+        } else if (settings.dimension === 3 && settings.overlay === 'divergence' && overlaySamples && overlaySamples.divergence) {
+            absMax = 0;
+            overlaySamples.divergence.forEach(value => {
+                if (Number.isFinite(value)) absMax = Math.max(absMax, Math.abs(value));
+            });
+        }
+
+        if (absMax !== null && !active.error && settings.overlay !== 'none') {
+            colorbars.push({
+                title: settings.overlay === 'curl' ? 'curl F' : 'div F',
+                min: -absMax,
+                max: absMax,
+                colormap: this.renderer.divergingColormap
+            });
+        }
+
+        if (equipotentials.length > 1) {
+            colorbars.push({
+                title: 'φ',
+                min: equipotentials[0].value,
+                max: equipotentials[equipotentials.length - 1].value,
+                colormap: this.renderer.colormap
+            });
+        }
+
+        return colorbars;
+    }
+
+    /**
+     * Equipotentials of the active layer when it is entered as a potential: contour lines of φ
+     * in 2D, level surfaces in 3D, colored from the lowest to the highest level with the colormap
+     * @param {object} grid - Volume of φ from the sampler in 3D
+     * @returns {array} - Array of {value, color} with segments (2D) or positions and normals (3D)
+     */
+    traceEquipotentials(layer, settings, grid) {
+        if (!settings.equipotentials || layer.error || !layer.field.potentialFunction) return [];
+
+        const color = (n, count) => this.renderer.colormap.css(count > 1 ? n / (count - 1) : 0.5);
+        if (settings.dimension === 3) {
+            if (!grid) return [];
+            // Frames of a steady potential reuse the level surfaces
+            if (!grid.equipotentials || grid.equipotentials.count !== settings.equipotentialCount) {
+                const levels = MarchingSquares.getLevels(grid.values, settings.equipotentialCount);
+                grid.equipotentials = {
+                    count: settings.equipotentialCount,
+                    surfaces: levels.map(value => ({ value, ...MarchingCubes.extract(grid, value) }))
+                };
+            }
+            const { surfaces } = grid.equipotentials;
+            return surfaces.map((surface, n) => ({ ...surface, color: color(n, surfaces.length) }));
+        }
+
+        const scalarGrid = layer.field.generateScalarGrid(settings.bounds, Math.max(60, settings.density * 4), 'potential', this.animationTime);
+        const levels = MarchingSquares.getLevels(scalarGrid.values, settings.equipotentialCount);
+        return levels.map((value, n) => ({
+            value,
+            color: color(n, levels.length),
+            segments: MarchingSquares.extract(scalarGrid, settings.bounds, value)
+        }));
+    }
+
+    /**
+     * Scalar volumes the isosurfaces of the sampled layers and the 3D equipotentials of the active layer need,
+     * each keyed by what it was sampled from
+     * @returns {array} - Array of {key, id, quantity, resolution} for FieldSampler.sample
+     */
+    getVolumeRequests(layers, active, settings) {
+        if (settings.dimension !== 3) return [];
+
+        const resolution = Math.max(20, settings.density * 2);
+        const wanted = layers.filter(layer => layer.renderMode === 'isosurface')
+            .map(layer => [layer, settings.isoQuantity]);
+        if (settings.equipotentials && !active.error && active.field.potentialFunction) {
+            wanted.push([active, 'potential']);
+        }
+
+        const requests = new Map();
+        wanted.forEach(([layer, quantity]) => {
+            const key = this.getVolumeKey(layer, settings, quantity, resolution);
+            requests.set(key, { key, id: layer.id, quantity, resolution });
+        });
+        return [...requests.values()];
+    }
+
+    /**
+     * Identifies a sampled volume; t is left out for fields without it, so animating reuses their volumes
+     */
+    getVolumeKey(layer, settings, quantity, resolution) {
+        return JSON.stringify([
+            layer.id, this.fieldVersion, layer.field.parameters, settings.bounds, resolution, quantity,
+            layer.field.dependsOnTime() ? this.animationTime : null
+        ]);
+    }
+
+    /**
+     * Isosurface of a layer in the isosurface mode (3D only), at the current iso-value
+     * @param {object} grid - Volume of the iso quantity from the sampler
+     * @returns {object|null} - {positions, normals} from MarchingCubes.extract with color and range [min, max]
+     */
+    extractIsosurface(layer, settings, grid) {
+        if (layer.renderMode !== 'isosurface' || settings.dimension !== 3 || layer.error || !grid) return null;
+
+        // Start in the middle of the range the first time
+        if (this.isoValue === null) this.isoValue = (grid.min + grid.max) / 2;
+
+        // Frames of a steady field reuse the surface; only a new iso-value is extracted again
+        if (!grid.isosurface || grid.isosurface.value !== this.isoValue) {
+            grid.isosurface = { value: this.isoValue, surface: MarchingCubes.extract(grid, this.isoValue) };
+        }
+        const isosurface = { ...grid.isosurface.surface, range: [grid.min, grid.max] };
+
+        // Same color an arrow of this magnitude (or the overlay heatmap at this value) would have
+        if (layer.colorMode === 'solid') {
+            isosurface.color = layer.color;
+        } else if (settings.isoQuantity === 'magnitude') {
+            isosurface.color = this.renderer.colormap.css(this.isoValue / layer.maxMag);
+        } else {
+            const absMax = Math.max(Math.abs(grid.min), Math.abs(grid.max));
+            isosurface.color = this.renderer.divergingColormap.css(absMax > 0 ? 0.5 + 0.5 * this.isoValue / absMax : 0.5);
+        }
+        return isosurface;
+    }
+
+    /**
+     * Fit the iso-value slider to the range of the active isosurface layer, or the first one
+     */
+    updateIsoControls(layerData, active) {
+        const surfaces = layerData.filter(data => data.isosurface);
+        const shown = surfaces.find(data => data.layer === active) || surfaces[0];
+        if (!shown) return;
+
+        const [min, max] = shown.isosurface.range;
+        const slider = document.getElementById('isoValue');
+        slider.min = min;
+        slider.max = max;
+        slider.step = (max - min) / 200 || 0.01;
+        slider.value = this.isoValue;
+        document.getElementById('isoValueLabel').textContent = this.formatNumber(this.isoValue);
+        document.getElementById('isoRange').textContent =
+            `Range ${this.formatNumber(min)} to ${this.formatNumber(max)}, ${shown.isosurface.positions.length / 9} triangles`;
+    }
+
+    /**
+     * Sample the active layer on every slice plane (3D only), at a higher density than the volume grid
+     * @returns {array} - Array of {slice, outline, samples, streamlines, colorMode, color, maxMag, scale}
+     */
+    sampleSlices(layer, settings) {
+        if (settings.dimension !== 3 || layer.error) return [];
+
+        return this.slices.map(slice => {
+            const resolution = slice.mode === 'heatmap' ? Math.max(60, settings.density * 4) : settings.density * 2;
+            const samples = slice.sample(layer.field, settings.bounds, resolution, this.animationTime);
+            layer.field.normalizeVectors(samples, layer.maxMag, settings.lengthScale);
+
+            return {
+                slice,
+                outline: slice.getOutline(settings.bounds),
+                samples,
+                streamlines: slice.mode === 'lines'
+                    ? slice.traceStreamlines(layer.field, settings.bounds, {
+                        seeding: settings.seeding,
+                        density: settings.density * 2,
+                        t: this.animationTime
+                    })
+                    : [],
+                colorMode: layer.colorMode,
+                color: layer.color,
+                maxMag: layer.maxMag,
+                // Arrows keep their length relative to the (finer) slice spacing
+                scale: settings.scale * settings.density / resolution
+            };
+        });
+    }
+
+    /**
+     * Add a slice through the middle of the domain, perpendicular to the chosen axis or custom normal
+     */
+    addSlice() {
+        const axis = document.getElementById('sliceAxis').value;
+        const normal = axis === 'custom'
+            ? ['sliceNx', 'sliceNy', 'sliceNz'].map(id => parseFloat(document.getElementById(id).value) || 0)
+            : SLICE_AXES[axis];
+        if (normal.every(c => c === 0)) return;
+
+        const slice = new SlicePlane({ id: this.nextSliceId++, normal });
+        const [min, max] = slice.getOffsetRange(this.getSettings().bounds);
+        slice.offset = (min + max) / 2;
+        this.slices.push(slice);
+        this.updateVisualization();
+    }
+
+    removeSlice(id) {
+        this.slices = this.slices.filter(slice => slice.id !== id);
+        this.updateVisualization();
+    }
+
+    /**
+     * One row per slice: label, draw mode, remove button and an offset slider over the domain
+     */
+    renderSliceList(settings) {
+        const list = document.getElementById('sliceList');
+        list.innerHTML = '';
+
+        this.slices.forEach(slice => {
+            const item = document.createElement('div');
+            item.className = 'slice-item';
+
+            const header = document.createElement('div');
+            header.className = 'slice-header';
+
+            const label = document.createElement('span');
+            label.className = 'layer-label';
+            label.textContent = slice.describe();
+
+            const mode = document.createElement('select');
+            [['arrows', 'Arrows'], ['lines', 'Streamlines'], ['heatmap', 'Heatmap |F|']].forEach(([value, text]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                mode.appendChild(option);
+            });
+            mode.value = slice.mode;
+            mode.addEventListener('change', () => {
+                slice.mode = mode.value;
+                this.updateVisualization();
+            });
+
+            const remove = document.createElement('button');
+            remove.className = 'layer-remove';
+            remove.textContent = '×';
+            remove.title = 'Remove slice';
+            remove.addEventListener('click', () => this.removeSlice(slice.id));
+
+            const [min, max] = slice.getOffsetRange(settings.bounds);
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = min;
+            slider.max = max;
+            slider.step = (max - min) / 200 || 0.01;
+            slider.value = slice.offset;
+            slider.dataset.sliceId = slice.id;
+            slider.addEventListener('input', () => {
+                slice.offset = parseFloat(slider.value);
+                label.textContent = slice.describe();
+                this.previewScene();
+            });
+            slider.addEventListener('change', () => this.updateVisualization());
+
+            header.append(label, mode, remove);
+            item.append(header, slider);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Re-render while a slider or slice moves, skipping frames while the previous one is still being sampled
+     */
+    previewScene() {
+        if (this.framePending) return;
+        this.renderFrame(this.getSettings());
+    }
+
+    /**
+     * Render without queueing: framePending is set until the frame is drawn or has failed,
+     * so a failed frame does not block the frames after it
+     */
+    renderFrame(settings) {
+        this.framePending = true;
+        return this.renderScene(settings)
+            .catch(e => this.reportRenderError(e))
+            .finally(() => {
+                this.framePending = false;
+            });
+    }
+
+    /**
+     * Show an error thrown while sampling or rendering a frame
+     */
+    reportRenderError(e) {
+        console.error('Render failed:', e);
+        document.getElementById('expressionError').textContent = `Error: Render failed: ${e.message}`;
+    }
+
+    /**
+     * Take over a Shift+drag that starts on a slice plane, the nearest one if several are hit
+     * @returns {boolean} - True if a slice is being dragged
+     */
+    startSliceDrag(e) {
+        if (!e.shiftKey || this.renderer.dimension !== 3) return false;
+
+        const { bounds } = this.getSettings();
+        const camera = this.renderer.camera.position;
+        let nearest = null;
+
+        this.slices.forEach(slice => {
+            const plane = new THREE.Plane(new THREE.Vector3(...slice.normal), -slice.offset);
+            const point = this.renderer.screenToPlane(e.clientX, e.clientY, plane);
+            if (!point || !slice.isInside(point.toArray(), bounds)) return;
+
+            const distance = point.distanceTo(camera);
+            if (!nearest || distance < nearest.distance) {
+                nearest = { slice, point, offset: slice.offset, distance };
+            }
+        });
+
+        this.sliceDrag = nearest;
+        return !!nearest;
+    }
+
+    /**
+     * Move the dragged slice to where the pointer ray passes closest to the line
+     * through the grabbed point along the slice normal
+     */
+    moveSliceDrag(clientX, clientY) {
+        const { slice, point, offset } = this.sliceDrag;
+        const ray = this.renderer.getPointerRay(clientX, clientY);
+        const normal = new THREE.Vector3(...slice.normal);
+        const w0 = point.clone().sub(ray.origin);
+        const b = normal.dot(ray.direction);
+        // Looking straight along the normal leaves the depth undefined
+        if (1 - b * b < 1e-6) return;
+
+        const s = (b * ray.direction.dot(w0) - normal.dot(w0)) / (1 - b * b);
+        const [min, max] = slice.getOffsetRange(this.getSettings().bounds);
+        slice.offset = Math.min(max, Math.max(min, offset + s));
+
+        const slider = document.querySelector(`#sliceList input[data-slice-id="${slice.id}"]`);
+        if (slider) {
+            slider.value = slice.offset;
+            slider.parentElement.querySelector('.layer-label').textContent = slice.describe();
+        }
+        this.previewScene();
+    }
+
+    /**
+     * Magnitude shown at full arrow length and full color: the largest magnitude,
+     * or the user's clipping value or percentile when that is lower
+     */
+    getClipMagnitude(field, samples, maxMag, settings) {
+        let clip = maxMag;
+        if (settings.clipMode === 'value' && settings.clipValue > 0) {
+            clip = settings.clipValue;
+        } else if (settings.clipMode === 'percentile') {
+            clip = field.findMagnitudePercentile(samples, settings.clipPercentile);
+        }
+        return clip > 0 ? Math.min(clip, maxMag) : maxMag;
+    }
+
+    /**
+     * Show how many samples are singular or clipped, if any
+     */
+    updateSampleStats(samples) {
+        const singular = samples.singularCount || 0;
+        const clipped = samples.clippedCount || 0;
+        document.getElementById('sampleStat').style.display = singular + clipped > 0 ? 'block' : 'none';
+        document.getElementById('singularCount').textContent = singular;
+        document.getElementById('clippedCount').textContent = clipped;
+    }
+
+    /**
+     * Find and classify the zeros of the active layer in 2D, with saddle separatrices if enabled
+     * @returns {object} - {points, separatrices}, points is null when the analysis is off
+     */
+    analyzeCriticalPoints(layer, settings) {
+        const stat = document.getElementById('criticalStat');
+        if (!settings.criticalPoints || settings.dimension !== 2 || layer.error) {
+            stat.style.display = 'none';
+            return { points: null, separatrices: [] };
+        }
+
+        const points = layer.field.findCriticalPoints(settings.bounds, 40, this.animationTime);
+        const separatrices = settings.separatrices
+            ? layer.tracer.traceSeparatrices(points, settings.bounds, {
+                density: settings.density,
+                t: this.animationTime
+            })
+            : [];
+
+        stat.style.display = 'block';
+        document.getElementById('criticalCount').textContent = points.length;
+        return { points, separatrices };
+    }
+
+    /**
+     * Start or stop adding path points with canvas clicks
+     */
+    setDrawingPath(drawing) {
+        this.drawingPath = drawing;
+        const button = document.getElementById('drawPathBtn');
+        button.textContent = drawing ? 'Finish Path' : 'Draw Path';
+        button.classList.toggle('active', drawing);
+    }
+
+    /**
+     * Add the point under the cursor to the drawn path, replacing a parametric one
+     */
+    addPathPoint(clientX, clientY) {
+        const point = this.renderer.screenToPlane(clientX, clientY);
+        if (!point) return;
+
+        if (!this.path || this.path.source !== 'draw') {
+            this.path = { source: 'draw', points: [] };
+        }
+        this.path.points.push({ x: point.x, y: point.y });
+        this.updateVisualization();
+    }
+
+    /**
+     * Work and flux of the active layer along the path in 2D, checked against Green's theorem when closed
+     * @returns {object|null} - {points, closed, controlPoints, glyphs} for the renderer, null without a path
+     */
+    analyzePath(layer, settings) {
+        const stats = document.getElementById('pathStats');
+        const errorDiv = document.getElementById('pathError');
+        errorDiv.textContent = '';
+        stats.style.display = 'none';
+        if (!this.path || settings.dimension !== 2 || layer.error) return null;
+
+        let points;
+        let closed;
+        let controlPoints = [];
+        if (this.path.source === 'parametric') {
+            const { expression, sStart, sEnd } = this.path;
+            try {
+                points = PathIntegrator.sampleParametric(expression, sStart, sEnd, 400, this.animationTime);
+            } catch (e) {
+                errorDiv.textContent = `Error: ${e.message}`;
+                return null;
+            }
+
+            // A curve that ends where it starts encloses a region
+            const { xMin, xMax, yMin, yMax } = settings.bounds;
+            const first = points[0];
+            const last = points[points.length - 1];
+            closed = Math.hypot(last.x - first.x, last.y - first.y) < 1e-3 * Math.max(xMax - xMin, yMax - yMin);
+            if (closed) points = points.slice(0, -1);
+        } else {
+            points = controlPoints = this.path.points;
+            closed = settings.closePath && points.length > 2;
+        }
+
+        if (points.length < 2) {
+            return { points, closed: false, controlPoints, glyphs: [] };
+        }
+
+        const integrator = new PathIntegrator(layer.field);
+        const t = this.animationTime;
+        const result = integrator.integrate(points, { closed, t });
+        const format = value => Number.isFinite(value) ? value.toFixed(4) : 'undefined';
+
+        stats.style.display = 'block';
+        document.getElementById('pathLength').textContent = result.length.toFixed(3);
+        document.getElementById('pathWork').textContent = format(result.work);
+        document.getElementById('pathFlux').textContent = format(result.flux);
+
+        const greenStat = document.getElementById('greenStat');
+        greenStat.style.display = result.green ? 'block' : 'none';
+        if (result.green) {
+            document.getElementById('greenCurl').textContent = format(result.green.curlIntegral);
+            document.getElementById('greenDiv').textContent = format(result.green.divergenceIntegral);
+            // Grid points where the field is undefined are left out of the area integrals
+            greenStat.title = result.green.undefinedPoints > 0
+                ? `Field undefined at ${result.green.undefinedPoints} grid points inside the path`
+                : `Should match work and flux up to discretization error (area ${result.green.area.toFixed(3)})`;
+        }
+
+        return { points, closed, controlPoints, glyphs: integrator.getGlyphs(points, { closed, t }) };
+    }
+
+    /**
+     * World point to probe under a screen position: on the z = 0 plane in 2D,
+     * on the chosen probe plane in 3D; null outside the domain
+     */
+    pickProbePoint(clientX, clientY) {
+        const settings = this.getSettings();
+        const { bounds } = settings;
+        let plane;
+        if (settings.dimension === 3) {
+            const normal = {
+                xy: new THREE.Vector3(0, 0, 1),
+                xz: new THREE.Vector3(0, 1, 0),
+                yz: new THREE.Vector3(1, 0, 0)
+            }[settings.probePlane];
+            plane = new THREE.Plane(normal, -settings.probeOffset);
+        }
+
+        const point = this.renderer.screenToPlane(clientX, clientY, plane);
+        if (!point) return null;
+        if (settings.dimension === 2) point.z = 0;
+
+        const inside = point.x >= bounds.xMin && point.x <= bounds.xMax &&
+            point.y >= bounds.yMin && point.y <= bounds.yMax &&
+            (settings.dimension === 2 || (point.z >= bounds.zMin && point.z <= bounds.zMax));
+        return inside ? point : null;
+    }
+
+    /**
+     * Show the probe tooltip for a point next to the cursor, or hide it when point is null
+     */
+    showTooltip(point, clientX, clientY) {
+        if (!point) {
+            this.tooltip = null;
+        } else {
+            const rect = this.renderer.canvas.getBoundingClientRect();
+            this.tooltip = {
+                point: { x: point.x, y: point.y, z: point.z },
+                left: clientX - rect.left + 14,
+                top: clientY - rect.top + 14
+            };
+        }
+        this.updateTooltip();
+    }
+
+    /**
+     * Refill the tooltip from the active layer, e.g. after the field or t changed
+     */
+    updateTooltip() {
+        const element = document.getElementById('probeTooltip');
+        const layer = this.getActiveLayer();
+        if (!this.tooltip || !layer || layer.error) {
+            element.style.display = 'none';
+            return;
+        }
+
+        const { point, left, top } = this.tooltip;
+        const probe = layer.field.probe(point.x, point.y, point.z, this.animationTime);
+        element.textContent = layer.type === 'data' && !Number.isFinite(probe.magnitude)
+            ? 'No data here'
+            : this.describeProbe(probe, this.renderer.dimension).join('\n');
+        element.style.left = `${left}px`;
+        element.style.top = `${top}px`;
+        element.style.display = 'block';
+    }
+
+    /**
+     * Pin a probe at a point; its values update with every render
+     */
+    pinProbe(point) {
+        this.probes.push({ id: this.nextProbeId++, x: point.x, y: point.y, z: point.z });
+        this.updateVisualization();
+    }
+
+    removeProbe(id) {
+        this.probes = this.probes.filter(probe => probe.id !== id);
+        this.updateVisualization();
+    }
+
+    /**
+     * Seed a trajectory at a point, starting at the current time
+     */
+    seedTrajectory(point) {
+        this.trajectories.push({ id: this.nextTrajectoryId++, x: point.x, y: point.y, t0: this.animationTime });
+        this.updateVisualization();
+    }
+
+    /**
+     * Integrate the seeded trajectories through the active layer in 2D
+     * A trajectory is only integrated again when the field, its parameters, the domain or the solver change,
+     * not while animating: it starts at its own seed time
+     * @returns {array} - Trajectories with points and arrows, empty in 3D
+     */
+    traceTrajectories(layer, settings) {
+        const stat = document.getElementById('trajectoryStat');
+        if (settings.dimension !== 2 || layer.error || this.trajectories.length === 0) {
+            stat.style.display = 'none';
+            return [];
+        }
+
+        const { bounds } = settings;
+        const key = JSON.stringify([
+            layer.id, this.fieldVersion, layer.field.parameters, bounds,
+            settings.trajectorySolver, settings.trajectoryDuration, settings.trajectoryStep
+        ]);
+        const integrator = new TrajectoryIntegrator(layer.field);
+        const spacing = Math.max(bounds.xMax - bounds.xMin, bounds.yMax - bounds.yMin) * 0.15;
+
+        this.trajectories.forEach(trajectory => {
+            if (trajectory.key === key) return;
+            const { points } = integrator.trace(trajectory, {
+                bounds,
+                solver: settings.trajectorySolver,
+                t0: trajectory.t0,
+                duration: settings.trajectoryDuration,
+                step: settings.trajectoryStep
+            });
+            Object.assign(trajectory, { key, points, arrows: TrajectoryIntegrator.getArrows(points, spacing) });
+        });
+
+        stat.style.display = 'block';
+        document.getElementById('trajectoryCount').textContent = this.trajectories.length;
+        return this.trajectories;
+    }
+
+    /**
+     * Download the integrated trajectories as point lists
+     */
+    exportTrajectories() {
+        const traced = this.trajectories.filter(trajectory => trajectory.points);
+        if (traced.length === 0 || this.renderer.dimension !== 2) return;
+
+        const settings = this.getSettings();
+        DataExporter.download(TrajectoryIntegrator.export(traced, {
+            solver: settings.trajectorySolver,
+            duration: settings.trajectoryDuration,
+            step: settings.trajectoryStep
+        }, document.getElementById('trajectoryFormat').value));
+    }
+
+    /**
+     * Re-evaluate the pinned probes and the tooltip at the current time
+     */
+    updateProbes() {
+        const layer = this.getActiveLayer();
+        const dimension = this.renderer.dimension;
+        const list = document.getElementById('probeList');
+        document.getElementById('probeStats').style.display = this.probes.length > 0 ? 'block' : 'none';
+
+        // Rebuild the items only when probes are added or removed, so the remove buttons
+        // stay clickable while animation frames refresh the values
+        const ids = this.probes.map(probe => probe.id).join(',');
+        if (list.dataset.ids !== ids) {
+            list.innerHTML = '';
+            this.probes.forEach(probe => {
+                const item = document.createElement('div');
+                item.className = 'probe-item';
+
+                const remove = document.createElement('button');
+                remove.className = 'layer-remove';
+                remove.textContent = '×';
+                remove.title = 'Remove probe';
+                remove.addEventListener('click', () => this.removeProbe(probe.id));
+
+                item.append(document.createElement('span'), remove);
+                list.appendChild(item);
+            });
+            list.dataset.ids = ids;
+        }
+
+        this.probes.forEach((probe, index) => {
+            const item = list.children[index];
+            const label = item.firstChild;
+            const values = layer.error ? null : layer.field.probe(probe.x, probe.y, probe.z, this.animationTime);
+            if (!values || (layer.type === 'data' && !Number.isFinite(values.magnitude))) {
+                label.textContent = `P${probe.id}: ${values ? 'no data' : 'no field'}`;
+                item.title = '';
+            } else {
+                const curl = dimension === 3 ? this.formatVector(values.curl, 3) : this.formatNumber(values.curl.z);
+                label.textContent = `P${probe.id}: |F| = ${this.formatNumber(values.magnitude)}, ` +
+                    `div = ${this.formatNumber(values.divergence)}, curl = ${curl}`;
+                item.title = this.describeProbe(values, dimension).join('\n');
+            }
+        });
+
+        this.updateTooltip();
+    }
+
+    /**
+     * Probe values as lines of text: position, F, |F|, divergence, curl and Jacobian rows
+     * @param {object} probe - From VectorField.probe
+     */
+    describeProbe(probe, dimension) {
+        const is3D = dimension === 3;
+        const axes = is3D ? '(x, y, z)' : '(x, y)';
+        const jacobianRows = probe.jacobian.map(row => `  [${row.map(v => this.formatNumber(v).padStart(9)).join(' ')} ]`);
+
+        return [
+            `${axes} = ${this.formatVector(probe.position, dimension)}`,
+            `F      = ${this.formatVector(probe.vector, dimension)}`,
+            `|F|    = ${this.formatNumber(probe.magnitude)}`,
+            `div F  = ${this.formatNumber(probe.divergence)}`,
+            `curl F = ${is3D ? this.formatVector(probe.curl, 3) : this.formatNumber(probe.curl.z)}`,
+            `J = ∂F/∂${axes}:`,
+            ...jacobianRows
+        ];
+    }
+
+    formatVector(v, dimension) {
+        const components = dimension === 3 ? [v.x, v.y, v.z] : [v.x, v.y];
+        return `(${components.map(c => this.formatNumber(c)).join(', ')})`;
+    }
+
+    /**
+     * Fixed point for everyday values, exponent notation for very large or small ones
+     */
+    formatNumber(value) {
+        if (!Number.isFinite(value)) return 'undefined';
+        const abs = Math.abs(value);
+        return abs !== 0 && (abs >= 1e5 || abs < 1e-3) ? value.toExponential(2) : value.toFixed(3);
+    }
+
+    /**
+     * Configure particle advection when the flow mode is active
+     */
+    prepareParticleFlow(layer, settings) {
+        if (layer.renderMode !== 'flow') return null;
+
+        layer.advector.configure({
+            bounds: settings.bounds,
+            count: settings.particleCount,
+            maxMag: layer.maxMag
+        });
+        return layer.advector;
+    }
+
+    /**
+     * Advect particles every frame, independent of the time animation
+     * Time-dependent fields are sampled at the current animation time
+     */
+    startParticleFlow() {
+        if (this.flowId || this.videoExporter) return;
+
+        const step = () => {
+            const settings = this.getSettings();
+            this.layers.forEach(layer => {
+                if (!layer.visible || layer.error || layer.renderMode !== 'flow') return;
+                layer.advector.step(0.016 * settings.animSpeed, this.animationTime);
+                this.renderer.updateParticleFlow(layer.advector, layer.maxMag);
+            });
+            this.flowId = requestAnimationFrame(step);
+        };
+
+        this.flowId = requestAnimationFrame(step);
+    }
+
+    /**
+     * Stop particle advection
+     */
+    stopParticleFlow() {
+        if (this.flowId) {
+            cancelAnimationFrame(this.flowId);
+            this.flowId = null;
+        }
+    }
+
+    /**
+     * Show divergence and curl ranges in the stats panel (|curl| in 3D)
+     */
+    updateDerivativeStats(field, samples) {
+        const ranges = field.findDerivativeRanges(samples);
+        const format = range => `${range.min.toFixed(2)} to ${range.max.toFixed(2)}`;
+
+        document.getElementById('divRange').textContent = format(ranges.div);
+        document.getElementById('curlRange').textContent = format(ranges.curl);
+    }
+
+    /**
+     * Trace streamlines when the field lines mode is active
+     */
+    traceStreamlines(layer, settings) {
+        if (layer.renderMode !== 'lines') return [];
+
+        // Tracing takes hundreds of milliseconds on dense grids, so the lines are kept until the field,
+        // its parameters, the domain or the seeding change, and across frames when the field has no t
+        const key = JSON.stringify([
+            this.fieldVersion, layer.field.parameters, settings.bounds, settings.density, settings.seeding,
+            layer.field.dependsOnTime() ? this.animationTime : null
+        ]);
+        if (!layer.streamlines || layer.streamlines.key !== key) {
+            layer.streamlines = {
+                key,
+                lines: layer.tracer.trace(settings.bounds, {
+                    seeding: settings.seeding,
+                    density: settings.density,
+                    t: this.animationTime
+                })
+            };
+        }
+        return layer.streamlines.lines;
+    }
+
+    /**
+     * Start animation loop
+     */
+    startAnimation() {
+        const animate = () => {
+            if (!this.isAnimating || this.videoExporter) return;
+
+            const settings = this.getSettings();
+            this.animationTime += 0.016 * settings.animSpeed; // ~60fps
+
+            // Particles pick up the new time themselves
+            const visible = this.layers.filter(layer => layer.visible && !layer.error);
+            // Skip frames while the previous one is still being sampled
+            if (visible.some(layer => layer.renderMode !== 'flow') && !this.framePending) {
+                this.renderFrame(settings);
+            } else if (!this.framePending) {
+                // Probes follow t even when no frame is sampled
+                this.updateProbes();
+            }
+
+            this.animationId = requestAnimationFrame(animate);
+        };
+
+        animate();
+    }
+
+    /**
+     * Stop animation
+     */
+    stopAnimation() {
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+    }
+
+    /**
+     * Sample the active layer at the export resolution and download it in the chosen format
+     */
+    exportData() {
+        const settings = this.getSettings();
+        const layer = this.getActiveLayer();
+        const errorDiv = document.getElementById('expressionError');
+        if (layer.error) {
+            errorDiv.textContent = `Error: ${layer.name} has an error and cannot be exported`;
+            return;
+        }
+
+        // Text files of 3D grids grow with the cube of the resolution
+        const limit = settings.dimension === 3 ? 100 : 1000;
+        const resolution = Math.min(limit, Math.max(2, parseInt(document.getElementById('dataResolution').value) || 30));
+        document.getElementById('dataResolution').value = resolution;
+
+        try {
+            const data = DataExporter.sample(layer.field, {
+                bounds: settings.bounds,
+                resolution,
+                dimension: settings.dimension,
+                t: this.animationTime,
+                derivatives: document.getElementById('dataDerivatives').checked
+            });
+            const description = `${layer.name}: ${this.describeLayer(layer)} at t = ${this.formatNumber(this.animationTime)}`;
+            DataExporter.download(DataExporter.build(data, document.getElementById('dataFormat').value, description, this.animationTime));
+        } catch (e) {
+            console.error('Data export failed:', e);
+            errorDiv.textContent = `Error: Data export failed: ${e.message}`;
+        }
+    }
+
+    /**
+     * Render the chosen t range at a fixed frame rate and size and download it
+     * Live animation and particle flow pause while frames are captured
+     */
+    async exportVideo() {
+        if (this.videoExporter) return;
+
+        const settings = this.getSettings();
+        const fps = Math.min(60, Math.max(1, parseInt(document.getElementById('videoFps').value) || 30));
+        const [width, height] = document.getElementById('videoResolution').value.split('x').map(Number);
+        const options = {
+            tStart: parseFloat(document.getElementById('videoTStart').value) || 0,
+            tEnd: parseFloat(document.getElementById('videoTEnd').value) || 0,
+            duration: Math.max(0.1, parseFloat(document.getElementById('videoDuration').value) || 1),
+            fps,
+            width,
+            height,
+            format: document.getElementById('videoFormat').value
+        };
+
+        const progressGroup = document.getElementById('videoProgressGroup');
+        const progress = document.getElementById('videoProgress');
+        const progressText = document.getElementById('videoProgressText');
+        const errorDiv = document.getElementById('videoError');
+        const exportButton = document.getElementById('exportVideoBtn');
+
+        const savedTime = this.animationTime;
+        this.stopAnimation();
+        this.stopParticleFlow();
+
+        this.videoExporter = new VideoExporter(this.renderer);
+        progress.value = 0;
+        progressText.textContent = '0%';
+        progressGroup.style.display = 'flex';
+        errorDiv.textContent = '';
+        exportButton.disabled = true;
+
+        try {
+            const result = await this.videoExporter.export({
+                ...options,
+                // Particles move as far per frame as they would in live playback at this frame rate
+                renderFrame: t => this.renderVideoFrame(t, settings.animSpeed / fps, settings),
+                onProgress: ratio => {
+                    progress.value = ratio;
+                    progressText.textContent = `${Math.round(ratio * 100)}%`;
+                }
+            });
+
+            if (result) {
+                this.videoExporter.download(result.blob, result.filename);
+            }
+        } catch (e) {
+            console.error('Video export failed:', e);
+            errorDiv.textContent = `Video export failed: ${e.message}`;
+        } finally {
+            this.videoExporter = null;
+            progressGroup.style.display = 'none';
+            exportButton.disabled = false;
+
+            this.animationTime = savedTime;
+            this.updateVisualization();
+            if (this.isAnimating) {
+                this.startAnimation();
+            }
+        }
+    }
+
+    /**
+     * Draw the scene at time t, advancing particles by a fixed step
+     */
+    async renderVideoFrame(t, dt, settings) {
+        this.animationTime = t;
+        await this.renderScene(settings);
+
+        this.layers.forEach(layer => {
+            if (!layer.visible || layer.error || layer.renderMode !== 'flow') return;
+            layer.advector.step(dt, t);
+            this.renderer.updateParticleFlow(layer.advector, layer.maxMag);
+        });
     }
 }
 
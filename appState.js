@@ -0,0 +1,144 @@
+/**
+ * App State Store
+ * Saves and restores the app configuration via the URL hash, localStorage and JSON files
+ */
+
+class AppStateStore {
+    constructor(storageKey = 'vectorFieldState') {
+        this.storageKey = storageKey;
+        this.hashPrefix = '#state=';
+        this.version = 1;
+    }
+
+    /**
+     * Encode a state object as URL-safe base64 JSON
+     */
+    encode(state) {
+        const bytes = new TextEncoder().encode(JSON.stringify(state));
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Decode a state string produced by encode
+     */
+    decode(text) {
+        const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64);
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        return this.validate(JSON.parse(new TextDecoder().decode(bytes)));
+    }
+
+    /**
+     * Check that a parsed object is a complete saved state, so restoring it cannot fail halfway
+     * @returns {object} - The state
+     */
+    validate(state) {
+        const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+        const isPoint = value => isObject(value) && Number.isFinite(value.x) && Number.isFinite(value.y);
+        const checkList = (name, isValid) => {
+            const list = state[name];
+            if (list !== undefined && list !== null && !(Array.isArray(list) && list.every(isValid))) {
+                throw new Error(`Configuration has invalid ${name}`);
+            }
+        };
+
+        if (!isObject(state)) {
+            throw new Error('Not a configuration object');
+        }
+        if (state.version !== this.version) {
+            throw new Error(`Unsupported configuration version: ${state.version}`);
+        }
+        if (!isObject(state.settings) || !Array.isArray(state.layers) || state.layers.length === 0) {
+            throw new Error('Configuration has no settings or layers');
+        }
+        if (state.settings.bounds !== undefined && !isObject(state.settings.bounds)) {
+            throw new Error('Configuration has invalid bounds');
+        }
+        if (!state.layers.every(layer => isObject(layer) && Number.isFinite(layer.id))) {
+            throw new Error('Configuration has invalid layers');
+        }
+        checkList('probes', isPoint);
+        checkList('trajectories', isPoint);
+        checkList('slices', slice => isObject(slice) && Array.isArray(slice.normal) && slice.normal.length === 3);
+        ['parameters', 'path', 'camera'].forEach(name => {
+            if (state[name] !== undefined && state[name] !== null && !isObject(state[name])) {
+                throw new Error(`Configuration has invalid ${name}`);
+            }
+        });
+        return state;
+    }
+
+    /**
+     * Read the state from the URL hash, if there is one
+     * @returns {object|null}
+     */
+    readHash() {
+        if (!location.hash.startsWith(this.hashPrefix)) return null;
+
+        try {
+            return this.decode(location.hash.slice(this.hashPrefix.length));
+        } catch (e) {
+            console.error('Invalid state in URL:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Read the last session from localStorage
+     * @returns {object|null}
+     */
+    readStorage() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            return saved ? this.validate(JSON.parse(saved)) : null;
+        } catch (e) {
+            console.error('Invalid saved session:', e);
+            return null;
+        }
+    }
+
+    /**
+     * State to start with: a shared link wins over the last session
+     */
+    load() {
+        return this.readHash() || this.readStorage();
+    }
+
+    /**
+     * Write the state to the URL hash (without adding history entries) and localStorage
+     */
+    save(state) {
+        const stamped = { version: this.version, ...state };
+        history.replaceState(null, '', this.hashPrefix + this.encode(stamped));
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(stamped));
+        } catch (e) {
+            // Storage may be full or disabled; the URL still carries the state
+        }
+    }
+
+    /**
+     * Download the state as a JSON file
+     */
+    download(state) {
+        const json = JSON.stringify({ version: this.version, ...state }, null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.download = 'vector-field.json';
+        link.href = URL.createObjectURL(blob);
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    /**
+     * Read a state from a JSON file chosen by the user
+     * @param {File} file
+     * @returns {Promise<object>}
+     */
+    readFile(file) {
+        return file.text().then(text => this.validate(JSON.parse(text)));
+    }
+}
@@ -0,0 +1,169 @@
+/**
+ * Colormaps
+ * Perceptually uniform maps for magnitudes, a diverging map for signed quantities
+ * (divergence, curl) and a colorbar legend that draws into any 2D canvas context
+ */
+
+// Evenly spaced stops from low to high; rainbow is the original HSL blue-to-red ramp
+const COLORMAPS = {
+    viridis: ['#440154', '#482878', '#3e4989', '#31688e', '#26828e', '#1f9e89', '#35b779', '#6ece58', '#b5de2b', '#fde725'],
+    plasma: ['#0d0887', '#46039f', '#7201a8', '#9c179e', '#bd3786', '#d8576b', '#ed7953', '#fb9f3a', '#fdca26', '#f0f921'],
+    cividis: ['#00224e', '#123570', '#3b496c', '#575d6d', '#707173', '#8a8779', '#a69d75', '#c4b56c', '#e4cf5b', '#fee838'],
+    inferno: ['#000004', '#1b0c41', '#4a0c6b', '#781c6d', '#a52c60', '#cf4446', '#ed6925', '#fb9b06', '#f7d13d', '#fcffa4'],
+    coolwarm: ['#3b4cc0', '#6282ea', '#8db0fe', '#b8d0f9', '#dddddd', '#f5c4ad', '#f49a7b', '#de604d', '#b40426'],
+    rainbow: null
+};
+
+class Colormap {
+    constructor(name = 'viridis', reversed = false) {
+        this.name = name in COLORMAPS ? name : 'viridis';
+        this.reversed = reversed;
+        this.stops = (COLORMAPS[this.name] || []).map(hex => new THREE.Color(hex));
+    }
+
+    /**
+     * Color at a position between 0 (low) and 1 (high), interpolated between stops
+     * @param {THREE.Color} target - Color to write into, a new one by default
+     */
+    at(ratio, target = new THREE.Color()) {
+        let t = Number.isFinite(ratio) ? Math.min(Math.max(ratio, 0), 1) : 0;
+        if (this.reversed) t = 1 - t;
+
+        if (this.stops.length === 0) {
+            return target.setHSL(0.6 - t * 0.6, 1, 0.5);
+        }
+
+        const position = t * (this.stops.length - 1);
+        const n = Math.min(Math.floor(position), this.stops.length - 2);
+        return target.copy(this.stops[n]).lerp(this.stops[n + 1], position - n);
+    }
+
+    /**
+     * CSS hex color at a position, for canvas and SVG gradients
+     */
+    css(ratio) {
+        return '#' + this.at(ratio).getHexString();
+    }
+}
+
+class ColorLegend {
+    /**
+     * @param {HTMLCanvasElement} canvas - Overlay canvas for the live view, optional
+     */
+    constructor(canvas = null) {
+        this.canvas = canvas;
+        this.entries = [];
+        this.barWidth = 14;
+        this.barHeight = 140;
+        this.padding = 10;
+        this.font = '11px -apple-system, BlinkMacSystemFont, \'Segoe UI\', Roboto, sans-serif';
+    }
+
+    /**
+     * Show colorbars on the overlay canvas, or hide it when there are none
+     * @param {array} entries - Array of {title, min, max, colormap}
+     */
+    show(entries) {
+        this.entries = entries;
+        if (!this.canvas) return;
+
+        const context = this.canvas.getContext('2d');
+        if (entries.length === 0 || !context) {
+            this.canvas.style.display = 'none';
+            return;
+        }
+
+        const ratio = window.devicePixelRatio || 1;
+        const { width, height } = this.measure(context, entries);
+        this.canvas.width = Math.ceil(width * ratio);
+        this.canvas.height = Math.ceil(height * ratio);
+        this.canvas.style.width = `${width}px`;
+        this.canvas.style.height = `${height}px`;
+        this.canvas.style.display = 'block';
+
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        this.draw(context, entries, 0, 0);
+    }
+
+    /**
+     * Size of the legend box in CSS pixels
+     */
+    measure(context, entries) {
+        context.font = this.font;
+        const width = entries.reduce((sum, entry) => sum + this.measureEntry(context, entry), 0) + this.padding;
+        return { width, height: this.barHeight + 2 * this.padding + 20 };
+    }
+
+    measureEntry(context, entry) {
+        const labels = ColorLegend.getTicks(entry.min, entry.max, 5).map(tick => tick.label);
+        const labelWidth = Math.max(...labels.map(label => context.measureText(label).width));
+        const titleWidth = context.measureText(entry.title).width;
+        return this.padding + Math.max(this.barWidth + 6 + labelWidth, titleWidth);
+    }
+
+    /**
+     * Draw the colorbars side by side on a white box with its top-left corner at (x, y)
+     */
+    draw(context, entries, x, y) {
+        const { width, height } = this.measure(context, entries);
+
+        context.fillStyle = 'rgba(255, 255, 255, 0.9)';
+        context.fillRect(x, y, width, height);
+        context.textBaseline = 'middle';
+
+        let left = x + this.padding;
+        entries.forEach(entry => {
+            const top = y + this.padding + 16;
+            const span = entry.max - entry.min;
+
+            // Title above the bar
+            context.fillStyle = '#333333';
+            context.textAlign = 'left';
+            context.fillText(entry.title, left, y + this.padding + 5);
+
+            const gradient = context.createLinearGradient(0, top + this.barHeight, 0, top);
+            for (let n = 0; n <= 10; n++) {
+                gradient.addColorStop(n / 10, entry.colormap.css(n / 10));
+            }
+            context.fillStyle = gradient;
+            context.fillRect(left, top, this.barWidth, this.barHeight);
+            context.strokeStyle = '#333333';
+            context.lineWidth = 1;
+            context.strokeRect(left + 0.5, top + 0.5, this.barWidth - 1, this.barHeight - 1);
+
+            context.fillStyle = '#333333';
+            ColorLegend.getTicks(entry.min, entry.max, 5).forEach(({ value, label }) => {
+                const tickY = top + this.barHeight * (span > 0 ? 1 - (value - entry.min) / span : 0.5);
+                context.fillRect(left + this.barWidth, tickY - 0.5, 4, 1);
+                context.fillText(label, left + this.barWidth + 6, tickY);
+            });
+
+            left += this.measureEntry(context, entry);
+        });
+    }
+
+    /**
+     * Round tick positions (1, 2 or 5 times a power of ten) within a range
+     * @returns {array} - Array of {value, label}
+     */
+    static getTicks(min, max, target = 8) {
+        const span = max - min;
+        if (!(span > 0)) return [{ value: min, label: ColorLegend.formatLabel(min, 1) }];
+
+        const rough = span / target;
+        const power = Math.pow(10, Math.floor(Math.log10(rough)));
+        const step = [1, 2, 5, 10].map(m => m * power).find(s => s >= rough);
+        const ticks = [];
+
+        for (let value = Math.ceil(min / step) * step; value <= max + step * 1e-9; value += step) {
+            ticks.push({ value, label: ColorLegend.formatLabel(value, step) });
+        }
+        return ticks;
+    }
+
+    static formatLabel(value, step) {
+        const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+        const label = value.toFixed(decimals);
+        return label === `-${(0).toFixed(decimals)}` ? (0).toFixed(decimals) : label;
+    }
+}
@@ -0,0 +1,84 @@
+/**
+ * Contour Lines
+ * Marching squares over a 2D scalar grid from VectorField.generateScalarGrid, e.g. for equipotentials
+ */
+
+class MarchingSquares {
+    /**
+     * Evenly spaced contour values between the 2nd and 98th percentiles of the grid,
+     * so values blowing up at a singularity do not crowd all levels to one side
+     * @param {ArrayLike} values - Grid values, NaN where undefined
+     * @param {number} count - Number of levels
+     * @returns {array} - Ascending level values, empty if the grid is constant or undefined
+     */
+    static getLevels(values, count) {
+        const finite = Array.from(values).filter(value => Number.isFinite(value)).sort((a, b) => a - b);
+        if (finite.length === 0 || count < 1) return [];
+
+        const low = finite[Math.floor(0.02 * (finite.length - 1))];
+        const high = finite[Math.ceil(0.98 * (finite.length - 1))];
+        if (!(high > low)) return [];
+
+        const levels = [];
+        for (let n = 1; n <= count; n++) {
+            levels.push(low + (high - low) * n / (count + 1));
+        }
+        return levels;
+    }
+
+    /**
+     * Extract the line where the grid values equal level
+     * Saddle cells are split by the value at the cell center, the mean of its corners
+     * @param {object} grid - {nx, ny, values} with values indexed [j * nx + i]
+     * @param {object} bounds - {xMin, xMax, yMin, yMax} the grid spans
+     * @returns {Float32Array} - Line segments as x,y pairs, two points per segment
+     */
+    static extract(grid, bounds, level) {
+        const { nx, ny, values } = grid;
+        const { xMin, xMax, yMin, yMax } = bounds;
+        const dx = (xMax - xMin) / (nx - 1);
+        const dy = (yMax - yMin) / (ny - 1);
+        // Cell corners counter-clockwise from the bottom left; edge n joins corners n and n + 1
+        const offsets = [[0, 0], [1, 0], [1, 1], [0, 1]];
+        const corners = new Array(4);
+        const segments = [];
+
+        for (let j = 0; j < ny - 1; j++) {
+            for (let i = 0; i < nx - 1; i++) {
+                let defined = true;
+                for (let c = 0; c < 4; c++) {
+                    corners[c] = values[(j + offsets[c][1]) * nx + i + offsets[c][0]];
+                    if (isNaN(corners[c])) defined = false;
+                }
+                if (!defined) continue;
+
+                const inside = corners.map(value => value > level);
+                const crossed = [0, 1, 2, 3].filter(edge => inside[edge] !== inside[(edge + 1) % 4]);
+                if (crossed.length === 0) continue;
+
+                const pointOnEdge = edge => {
+                    const a = edge;
+                    const b = (edge + 1) % 4;
+                    const s = (level - corners[a]) / (corners[b] - corners[a]);
+                    segments.push(
+                        xMin + (i + offsets[a][0] + s * (offsets[b][0] - offsets[a][0])) * dx,
+                        yMin + (j + offsets[a][1] + s * (offsets[b][1] - offsets[a][1])) * dy
+                    );
+                };
+
+                let pairs = [crossed];
+                if (crossed.length === 4) {
+                    // Corners on the same side as the center are joined through it, the other two are cut off
+                    const center = (corners[0] + corners[1] + corners[2] + corners[3]) / 4;
+                    pairs = inside[0] === (center > level) ? [[0, 1], [2, 3]] : [[3, 0], [1, 2]];
+                }
+                pairs.forEach(([a, b]) => {
+                    pointOnEdge(a);
+                    pointOnEdge(b);
+                });
+            }
+        }
+
+        return new Float32Array(segments);
+    }
+}
@@ -0,0 +1,269 @@
+/**
+ * Data Exporter
+ * Samples a layer on a regular grid of its own resolution and writes CSV, JSON,
+ * legacy VTK or VTK image data (.vti) for analysis in Python or ParaView
+ */
+
+const DATA_FORMATS = {
+    csv: { extension: 'csv', type: 'text/csv' },
+    json: { extension: 'json', type: 'application/json' },
+    vtk: { extension: 'vtk', type: 'text/plain' },
+    vti: { extension: 'vti', type: 'application/xml' }
+};
+
+class DataExporter {
+    /**
+     * Sample a field on a resolution^2 (2D) or resolution^3 (3D) grid over the bounds
+     * Samples are reordered from generateGrid's order so x varies fastest, then y, then z, as VTK expects
+     * @param {VectorField} field - A parsed field with its parameters set
+     * @param {object} options - {bounds, resolution, dimension, t, derivatives}
+     * @returns {object} - {dimension, size: [nx, ny, nz], origin, spacing, count, positions, vectors, magnitudes,
+     *   divergence, curl, potential}; divergence and curl are null unless requested, potential is null for
+     *   fields not entered as a potential. Singular samples have NaN vectors and magnitudes
+     */
+    static sample(field, options) {
+        const { bounds, resolution, dimension, t = 0, derivatives = true } = options;
+        const samples = field.generateGrid(bounds, resolution, t);
+        if (derivatives) field.addDerivatives(samples, t);
+
+        const nz = dimension === 3 ? resolution : 1;
+        const size = [resolution, resolution, nz];
+        const count = samples.count;
+        const data = {
+            dimension,
+            size,
+            origin: [bounds.xMin, bounds.yMin, dimension === 3 ? bounds.zMin : 0],
+            // A flat grid still needs a positive z spacing for VTK
+            spacing: [
+                (bounds.xMax - bounds.xMin) / (resolution - 1),
+                (bounds.yMax - bounds.yMin) / (resolution - 1),
+                nz > 1 ? (bounds.zMax - bounds.zMin) / (resolution - 1) : 1
+            ],
+            count,
+            positions: new Float32Array(count * 3),
+            vectors: new Float32Array(count * 3),
+            magnitudes: new Float32Array(count),
+            divergence: derivatives ? new Float32Array(count) : null,
+            curl: derivatives ? new Float32Array(count * 3) : null,
+            potential: field.potentialFunction ? new Float32Array(count) : null
+        };
+
+        // generateGrid varies z fastest, then y, then x
+        for (let i = 0; i < resolution; i++) {
+            for (let j = 0; j < resolution; j++) {
+                for (let k = 0; k < nz; k++) {
+                    const from = (i * resolution + j) * nz + k;
+                    const to = (k * resolution + j) * resolution + i;
+                    data.positions.set(samples.positions.subarray(from * 3, from * 3 + 3), to * 3);
+                    data.vectors.set(samples.vectors.subarray(from * 3, from * 3 + 3), to * 3);
+                    data.magnitudes[to] = samples.magnitudes[from];
+                    // Undefined rather than zero in the files
+                    if (isNaN(data.magnitudes[to])) data.vectors.fill(NaN, to * 3, to * 3 + 3);
+                    if (derivatives) {
+                        data.divergence[to] = samples.divergence[from];
+                        data.curl.set(samples.curl.subarray(from * 3, from * 3 + 3), to * 3);
+                    }
+                    if (data.potential) {
+                        const p = samples.positions.subarray(from * 3, from * 3 + 3);
+                        data.potential[to] = field.evaluatePotential(p[0], p[1], p[2], t);
+                    }
+                }
+            }
+        }
+
+        return data;
+    }
+
+    /**
+     * Named per-point columns, components of vectors split by axis; 2D data keeps x, y and the scalar curl
+     * @returns {array} - Array of {name, values: (n) => number}
+     */
+    static getColumns(data) {
+        const axes = data.dimension === 3 ? ['x', 'y', 'z'] : ['x', 'y'];
+        const columns = [];
+        axes.forEach((axis, c) => columns.push({ name: axis, values: n => data.positions[n * 3 + c] }));
+        ['u', 'v', 'w'].slice(0, axes.length).forEach((name, c) => {
+            columns.push({ name, values: n => data.vectors[n * 3 + c] });
+        });
+        columns.push({ name: 'magnitude', values: n => data.magnitudes[n] });
+        if (data.divergence) {
+            columns.push({ name: 'divergence', values: n => data.divergence[n] });
+            if (data.dimension === 3) {
+                axes.forEach((axis, c) => columns.push({ name: `curl_${axis}`, values: n => data.curl[n * 3 + c] }));
+            } else {
+                columns.push({ name: 'curl', values: n => data.curl[n * 3 + 2] });
+            }
+        }
+        if (data.potential) {
+            columns.push({ name: 'potential', values: n => data.potential[n] });
+        }
+        return columns;
+    }
+
+    /**
+     * Shortest text that keeps float32 precision
+     */
+    static format(value) {
+        return String(Number(value.toPrecision(7)));
+    }
+
+    /**
+     * One row per sample under a header row; undefined values are written as NaN
+     */
+    static toCSV(data) {
+        const columns = DataExporter.getColumns(data);
+        const lines = [columns.map(column => column.name).join(',')];
+        for (let n = 0; n < data.count; n++) {
+            lines.push(columns.map(column => {
+                const value = column.values(n);
+                return Number.isFinite(value) ? DataExporter.format(value) : 'NaN';
+            }).join(','));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * {field, t, dimension, size, points, vectors, magnitude, ...} with one array entry per sample
+     * and null for undefined values; points and vectors can be loaded back as a data layer
+     */
+    static toJSON(data, description, t) {
+        const columns = DataExporter.getColumns(data);
+        const round = value => Number.isFinite(value) ? Number(value.toPrecision(7)) : null;
+        const take = (array, n, width) => Array.from(array.subarray(n * 3, n * 3 + width), round);
+        const width = data.dimension === 3 ? 3 : 2;
+        const points = [];
+        const vectors = [];
+        for (let n = 0; n < data.count; n++) {
+            points.push(take(data.positions, n, width));
+            vectors.push(take(data.vectors, n, width));
+        }
+
+        const result = { field: description, t, dimension: data.dimension, size: data.size, points, vectors };
+        columns.filter(column => !['x', 'y', 'z', 'u', 'v', 'w'].includes(column.name)).forEach(column => {
+            result[column.name] = Array.from({ length: data.count }, (_, n) => round(column.values(n)));
+        });
+        return JSON.stringify(result);
+    }
+
+    /**
+     * Point data arrays for the VTK formats: the field and curl as vectors, the rest as scalars
+     * @returns {array} - Array of {name, components, values: Float32Array}
+     */
+    static getArrays(data) {
+        const arrays = [
+            { name: 'F', components: 3, values: data.vectors },
+            { name: 'magnitude', components: 1, values: data.magnitudes }
+        ];
+        if (data.divergence) {
+            arrays.push({ name: 'divergence', components: 1, values: data.divergence });
+            arrays.push(data.dimension === 3
+                ? { name: 'curl', components: 3, values: data.curl }
+                : { name: 'curl', components: 1, values: data.curl.filter((_, index) => index % 3 === 2) });
+        }
+        if (data.potential) {
+            arrays.push({ name: 'potential', components: 1, values: data.potential });
+        }
+        return arrays;
+    }
+
+    /**
+     * Values of an array as text for the VTK formats, one point per line; undefined values are VTK_UNDEFINED
+     */
+    static formatArray(array) {
+        const format = value => DataExporter.format(Number.isFinite(value) ? value : VTK_UNDEFINED);
+        const lines = [];
+        for (let n = 0; n < array.values.length; n += array.components) {
+            lines.push(Array.from(array.values.subarray(n, n + array.components), format).join(' '));
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Description on one line with a note on undefined values, for the VTK title line and the VTI comment
+     * @param {number} maxLength - Length to shorten the description to, keeping the note
+     */
+    static describeVTK(description, maxLength = Infinity) {
+        const note = ` (undefined values are ${DataExporter.format(VTK_UNDEFINED)})`;
+        return description.replace(/\s+/g, ' ').slice(0, maxLength - note.length) + note;
+    }
+
+    /**
+     * Legacy ASCII VTK structured points
+     */
+    static toVTK(data, description) {
+        const parts = [
+            '# vtk DataFile Version 3.0',
+            // The title is a single line of at most 256 characters
+            DataExporter.describeVTK(description, 255),
+            'ASCII',
+            'DATASET STRUCTURED_POINTS',
+            `DIMENSIONS ${data.size.join(' ')}`,
+            `ORIGIN ${data.origin.map(DataExporter.format).join(' ')}`,
+            `SPACING ${data.spacing.map(DataExporter.format).join(' ')}`,
+            `POINT_DATA ${data.count}`
+        ];
+        DataExporter.getArrays(data).forEach(array => {
+            if (array.components === 3) {
+                parts.push(`VECTORS ${array.name} float`);
+            } else {
+                parts.push(`SCALARS ${array.name} float 1`, 'LOOKUP_TABLE default');
+            }
+            parts.push(DataExporter.formatArray(array));
+        });
+        return parts.join('\n') + '\n';
+    }
+
+    /**
+     * VTK XML image data with ASCII arrays
+     */
+    static toVTI(data, description) {
+        const extent = data.size.map(n => `0 ${n - 1}`).join(' ');
+        const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+        const parts = [
+            '<?xml version="1.0"?>',
+            `<!-- ${escape(DataExporter.describeVTK(description)).replace(/--/g, '- -')} -->`,
+            '<VTKFile type="ImageData" version="0.1" byte_order="LittleEndian">',
+            `  <ImageData WholeExtent="${extent}" Origin="${data.origin.map(DataExporter.format).join(' ')}" ` +
+                `Spacing="${data.spacing.map(DataExporter.format).join(' ')}">`,
+            `    <Piece Extent="${extent}">`,
+            '      <PointData Vectors="F" Scalars="magnitude">'
+        ];
+        DataExporter.getArrays(data).forEach(array => {
+            parts.push(`        <DataArray type="Float32" Name="${array.name}" NumberOfComponents="${array.components}" format="ascii">`);
+            parts.push(DataExporter.formatArray(array));
+            parts.push('        </DataArray>');
+        });
+        parts.push('      </PointData>', '    </Piece>', '  </ImageData>', '</VTKFile>');
+        return parts.join('\n') + '\n';
+    }
+
+    /**
+     * Write the samples in one of the formats
+     * @param {string} format - 'csv', 'json', 'vtk' or 'vti'
+     * @param {string} description - What was sampled, kept in the JSON, VTK and VTI files
+     * @returns {object} - {text, filename, type}
+     */
+    static build(data, format, description = 'Vector field', t = 0) {
+        const writers = {
+            csv: () => DataExporter.toCSV(data),
+            json: () => DataExporter.toJSON(data, description, t),
+            vtk: () => DataExporter.toVTK(data, description),
+            vti: () => DataExporter.toVTI(data, description)
+        };
+        if (!writers[format]) {
+            throw new Error(`Unknown data format: ${format}`);
+        }
+
+        const { extension, type } = DATA_FORMATS[format];
+        return { text: writers[format](), filename: `vector-field.${extension}`, type };
+    }
+
+    static download(file) {
+        const blob = new Blob([file.text], { type: file.type });
+        const link = document.createElement('a');
+        link.download = file.filename;
+        link.href = URL.createObjectURL(blob);
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+}
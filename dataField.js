@@ -0,0 +1,460 @@
+/**
+ * Data Fields
+ * Measured or simulated vectors read from CSV, JSON or legacy VTK files,
+ * interpolated so they can be sampled like an expression
+ */
+
+// Accepted column names (lowercase) for positions and vector components
+const DATA_COLUMNS = {
+    x: ['x'],
+    y: ['y'],
+    z: ['z'],
+    u: ['u', 'vx', 'fx'],
+    v: ['v', 'vy', 'fy'],
+    w: ['w', 'vz', 'fz']
+};
+
+// Undefined values in the VTK files of DataExporter, since not every VTK ASCII reader parses 'nan';
+// negative, so thresholding the magnitude at zero (e.g. in ParaView) removes those points
+const VTK_UNDEFINED = -1e30;
+
+class FieldDataReader {
+    /**
+     * Read a dataset from the text of a file, picking the format from the extension or content
+     * Rows with a missing or non-numeric coordinate are skipped; rows with a missing, non-numeric or NaN
+     * vector component (null in JSON, VTK_UNDEFINED in VTK) are undefined samples with NaN vectors
+     * @param {string} text - File contents
+     * @param {string} name - File name
+     * @returns {object} - {name, count, positions, vectors, bounds, dimension, loadedAt}; positions and vectors
+     *   are Float32Arrays of x,y,z triples, dimension is 3 when the points do not all share one z, and loadedAt
+     *   tells reloads of the same file apart
+     */
+    static read(text, name = 'data') {
+        const extension = name.split('.').pop().toLowerCase();
+        let rows;
+        if (extension === 'vtk' || text.startsWith('# vtk')) {
+            rows = FieldDataReader.readVTK(text);
+        } else if (extension === 'json' || /^\s*[[{]/.test(text)) {
+            rows = FieldDataReader.readJSON(JSON.parse(text));
+        } else {
+            rows = FieldDataReader.readCSV(text);
+        }
+
+        const positions = [];
+        const vectors = [];
+        rows.forEach(row => {
+            if (row.slice(0, 3).every(value => Number.isFinite(value))) {
+                positions.push(row[0], row[1], row[2]);
+                vectors.push(...(row.slice(3).every(value => Number.isFinite(value)) ? row.slice(3) : [NaN, NaN, NaN]));
+            }
+        });
+
+        const count = positions.length / 3;
+        if (count === 0) {
+            throw new Error('No complete data rows found');
+        }
+
+        const bounds = { xMin: Infinity, xMax: -Infinity, yMin: Infinity, yMax: -Infinity, zMin: Infinity, zMax: -Infinity };
+        for (let n = 0; n < count; n++) {
+            ['x', 'y', 'z'].forEach((axis, index) => {
+                const value = positions[n * 3 + index];
+                bounds[`${axis}Min`] = Math.min(bounds[`${axis}Min`], value);
+                bounds[`${axis}Max`] = Math.max(bounds[`${axis}Max`], value);
+            });
+        }
+
+        return {
+            name,
+            count,
+            positions: new Float32Array(positions),
+            vectors: new Float32Array(vectors),
+            bounds,
+            dimension: bounds.zMax > bounds.zMin ? 3 : 2,
+            loadedAt: Date.now()
+        };
+    }
+
+    /**
+     * Column indices of x, y, z, u, v, w from header names, z and w are optional (-1)
+     */
+    static getColumns(names) {
+        const columns = {};
+        Object.entries(DATA_COLUMNS).forEach(([key, aliases]) => {
+            columns[key] = names.findIndex(name => aliases.includes(String(name).trim().toLowerCase()));
+        });
+        if (['x', 'y', 'u', 'v'].some(key => columns[key] < 0)) {
+            throw new Error(`Columns x, y, u and v are required (found ${names.join(', ')})`);
+        }
+        return columns;
+    }
+
+    /**
+     * Column indices for rows without a header: x, y, u, v or x, y, z, u, v, w
+     */
+    static getPositionalColumns(length) {
+        if (length === 4) return { x: 0, y: 1, z: -1, u: 2, v: 3, w: -1 };
+        if (length === 6) return { x: 0, y: 1, z: 2, u: 3, v: 4, w: 5 };
+        throw new Error(`Rows without a header need 4 (x, y, u, v) or 6 (x, y, z, u, v, w) columns, not ${length}`);
+    }
+
+    /**
+     * Pick x, y, z, u, v, w out of a row, missing z and w are zero
+     */
+    static toRow(values, columns) {
+        return ['x', 'y', 'z', 'u', 'v', 'w'].map(key => columns[key] < 0 ? 0 : parseFloat(values[columns[key]]));
+    }
+
+    /**
+     * Comma, semicolon, tab or space separated values with an optional header row; # starts a comment line
+     */
+    static readCSV(text) {
+        const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+        if (lines.length === 0) return [];
+
+        const split = line => line.split(/[\s,;]+/).filter(cell => cell !== '');
+        const first = split(lines[0]);
+        let columns;
+        if (first.some(cell => isNaN(parseFloat(cell)))) {
+            columns = FieldDataReader.getColumns(first.map(cell => cell.replace(/^["']|["']$/g, '')));
+            lines.shift();
+        } else {
+            columns = FieldDataReader.getPositionalColumns(first.length);
+        }
+
+        return lines.map(line => FieldDataReader.toRow(split(line), columns));
+    }
+
+    /**
+     * An array of rows (objects with x, y, u, v, ... or arrays as in CSV files),
+     * or an object {points: [[x, y, z]], vectors: [[u, v, w]]}
+     */
+    static readJSON(data) {
+        if (data && !Array.isArray(data) && Array.isArray(data.points) && Array.isArray(data.vectors)) {
+            if (data.points.length !== data.vectors.length) {
+                throw new Error(`${data.points.length} points but ${data.vectors.length} vectors`);
+            }
+            return data.points.map((point, n) => {
+                const vector = data.vectors[n];
+                // null marks an undefined value, e.g. a singular sample written by DataExporter
+                return [point[0], point[1], point[2] || 0, vector[0], vector[1], vector[2] || 0]
+                    .map(value => value === null ? NaN : Number(value));
+            });
+        }
+
+        if (!Array.isArray(data) || data.length === 0) {
+            throw new Error('Expected an array of rows or {points, vectors}');
+        }
+
+        if (Array.isArray(data[0])) {
+            const columns = FieldDataReader.getPositionalColumns(data[0].length);
+            return data.map(row => FieldDataReader.toRow(row, columns));
+        }
+
+        const keys = Object.keys(data[0]);
+        const columns = FieldDataReader.getColumns(keys);
+        return data.map(row => FieldDataReader.toRow(keys.map(key => row[key]), columns));
+    }
+
+    /**
+     * Legacy ASCII VTK: STRUCTURED_POINTS (points from DIMENSIONS, ORIGIN and SPACING) or any dataset
+     * with explicit POINTS (STRUCTURED_GRID, UNSTRUCTURED_GRID, POLYDATA), with VECTORS point data;
+     * cells are ignored
+     */
+    static readVTK(text) {
+        const lines = text.split(/\r?\n/);
+        if ((lines[2] || '').trim().toUpperCase() !== 'ASCII') {
+            throw new Error('Only ASCII VTK files are supported');
+        }
+
+        const tokens = lines.slice(3).join(' ').split(/\s+/).filter(Boolean);
+        const find = (keyword, from = 0) => tokens.findIndex((token, n) => n >= from && token.toUpperCase() === keyword);
+        const numbers = (start, length) => tokens.slice(start, start + length).map(parseFloat);
+
+        const datasetIndex = find('DATASET');
+        if (datasetIndex < 0) throw new Error('VTK file has no DATASET');
+        const type = tokens[datasetIndex + 1].toUpperCase();
+
+        let points;
+        if (type === 'STRUCTURED_POINTS') {
+            const dimensionsIndex = find('DIMENSIONS');
+            const originIndex = find('ORIGIN');
+            const spacingIndex = find('SPACING') >= 0 ? find('SPACING') : find('ASPECT_RATIO');
+            if (dimensionsIndex < 0) throw new Error('VTK structured points need DIMENSIONS');
+            const [nx, ny, nz] = numbers(dimensionsIndex + 1, 3);
+            const origin = originIndex >= 0 ? numbers(originIndex + 1, 3) : [0, 0, 0];
+            const spacing = spacingIndex >= 0 ? numbers(spacingIndex + 1, 3) : [1, 1, 1];
+
+            // x varies fastest, then y, then z
+            points = [];
+            for (let k = 0; k < nz; k++) {
+                for (let j = 0; j < ny; j++) {
+                    for (let i = 0; i < nx; i++) {
+                        points.push(origin[0] + i * spacing[0], origin[1] + j * spacing[1], origin[2] + k * spacing[2]);
+                    }
+                }
+            }
+        } else {
+            const pointsIndex = find('POINTS');
+            if (pointsIndex < 0) throw new Error(`VTK ${type} dataset has no POINTS`);
+            points = numbers(pointsIndex + 3, parseInt(tokens[pointsIndex + 1]) * 3);
+        }
+
+        const pointDataIndex = find('POINT_DATA');
+        const vectorsIndex = pointDataIndex >= 0 ? find('VECTORS', pointDataIndex) : -1;
+        const cellDataIndex = pointDataIndex >= 0 ? find('CELL_DATA', pointDataIndex) : -1;
+        if (vectorsIndex < 0 || (cellDataIndex >= 0 && cellDataIndex < vectorsIndex)) {
+            throw new Error('VTK file has no VECTORS point data');
+        }
+
+        const count = points.length / 3;
+        const vectors = numbers(vectorsIndex + 3, count * 3).map(value => value === VTK_UNDEFINED ? NaN : value);
+        if (vectors.length < count * 3) {
+            throw new Error(`VTK file has ${count} points but only ${Math.floor(vectors.length / 3)} vectors`);
+        }
+
+        const rows = [];
+        for (let n = 0; n < count; n++) {
+            rows.push([...points.slice(n * 3, n * 3 + 3), ...vectors.slice(n * 3, n * 3 + 3)]);
+        }
+        return rows;
+    }
+}
+
+/**
+ * Vector field interpolated from a dataset of FieldDataReader
+ * Points on a (possibly unevenly spaced) grid are interpolated bilinearly or trilinearly,
+ * scattered points with distance weights; the field is undefined (NaN) away from the data
+ */
+class DataVectorField extends VectorField {
+    constructor() {
+        super();
+        this.dataset = null;
+        this.grid = null;       // {axes: [x values, y values, z values], values} for gridded data
+        this.buckets = null;    // Spatial index of scattered points
+    }
+
+    /**
+     * Use a dataset; the interpolation structures are built once per dataset
+     * Derivatives come from finite differences of the interpolated field
+     * @param {object} dataset - From FieldDataReader.read, null when it was not restored
+     * @param {number} dimension - 2 for 2D, 3 for 3D
+     * @returns {boolean} - True if the dataset is usable
+     */
+    load(dataset, dimension = 2) {
+        this.dimension = dimension;
+        this.error = null;
+        this.compiledFunction = null;
+        this.jacobianFunctions = null;
+
+        if (!dataset) {
+            this.dataset = null;
+            this.error = 'Data is not saved with the view; load the file again';
+            return false;
+        }
+
+        if (dataset !== this.dataset) {
+            this.dataset = dataset;
+            this.grid = this.findGrid(dataset);
+            this.buckets = this.grid ? null : this.buildBuckets(dataset);
+        }
+        return true;
+    }
+
+    /**
+     * Values along each axis if the points fill a rectilinear grid, with each node present once
+     * @returns {object|null} - {axes, values} with values indexed ((k * ny + j) * nx + i) * 3
+     */
+    findGrid(dataset) {
+        const { count, positions, vectors, bounds } = dataset;
+        const extent = Math.max(bounds.xMax - bounds.xMin, bounds.yMax - bounds.yMin, bounds.zMax - bounds.zMin) || 1;
+        const tolerance = extent * 1e-6;
+
+        const axes = [0, 1, 2].map(axis => {
+            const sorted = Float64Array.from({ length: count }, (_, n) => positions[n * 3 + axis]).sort();
+            const unique = [sorted[0]];
+            sorted.forEach(value => {
+                if (value - unique[unique.length - 1] > tolerance) unique.push(value);
+            });
+            return unique;
+        });
+
+        const [nx, ny, nz] = axes.map(values => values.length);
+        if (nx * ny * nz !== count) return null;
+
+        const values = new Float32Array(count * 3);
+        const filled = new Uint8Array(count);
+        for (let n = 0; n < count; n++) {
+            const [i, j, k] = [0, 1, 2].map(axis => this.findNearest(axes[axis], positions[n * 3 + axis]));
+            const node = (k * ny + j) * nx + i;
+            // A node given twice means some other node is missing
+            if (filled[node]) return null;
+            filled[node] = 1;
+            values.set(vectors.subarray(n * 3, n * 3 + 3), node * 3);
+        }
+
+        return { axes, values };
+    }
+
+    /**
+     * Index of the value closest to target in an ascending array
+     */
+    findNearest(values, target) {
+        let lo = 0;
+        let hi = values.length - 1;
+        while (hi - lo > 1) {
+            const mid = (lo + hi) >> 1;
+            if (values[mid] <= target) lo = mid; else hi = mid;
+        }
+        return Math.abs(values[hi] - target) < Math.abs(values[lo] - target) ? hi : lo;
+    }
+
+    /**
+     * Sort scattered points into cells of about one point each, over the axes the data spans
+     * @returns {object} - {origin, size, counts (cells per axis), spans (whether the data extends
+     *   along each axis), start, order}; the points of cell c are order[start[c]] to order[start[c + 1] - 1]
+     */
+    buildBuckets(dataset) {
+        const { count, positions, bounds } = dataset;
+        const origin = [bounds.xMin, bounds.yMin, bounds.zMin];
+        const extents = [bounds.xMax - bounds.xMin, bounds.yMax - bounds.yMin, bounds.zMax - bounds.zMin];
+        const spans = extents.map(extent => extent > 0);
+        const spanned = extents.filter(extent => extent > 0);
+        const volume = spanned.reduce((product, extent) => product * extent, 1);
+        const size = spanned.length > 0 ? Math.pow(volume / count, 1 / spanned.length) : 1;
+        const counts = extents.map(extent => Math.max(1, Math.ceil(extent / size)));
+
+        const cellOf = n => {
+            let cell = 0;
+            for (let axis = 2; axis >= 0; axis--) {
+                const c = Math.min(counts[axis] - 1, Math.floor((positions[n * 3 + axis] - origin[axis]) / size));
+                cell = cell * counts[axis] + c;
+            }
+            return cell;
+        };
+
+        const start = new Int32Array(counts[0] * counts[1] * counts[2] + 1);
+        const cells = new Int32Array(count);
+        for (let n = 0; n < count; n++) {
+            cells[n] = cellOf(n);
+            start[cells[n] + 1]++;
+        }
+        for (let c = 1; c < start.length; c++) start[c] += start[c - 1];
+
+        const order = new Int32Array(count);
+        const filled = start.slice(0, -1);
+        for (let n = 0; n < count; n++) order[filled[cells[n]]++] = n;
+
+        return { origin, size, counts, spans, start, order };
+    }
+
+    /**
+     * Interpolate the data at a point; 2D data is constant along z and 2D views ignore the z component
+     * Outside the data the field is undefined (NaN), as at a singular point of an expression, so it is
+     * drawn as singular samples and not mistaken for zeros
+     */
+    evaluate(x, y, z = 0, t = 0) {
+        if (this.error || !this.dataset) {
+            return { x: 0, y: 0, z: 0 };
+        }
+
+        const vector = this.grid ? this.interpolateGrid([x, y, z]) : this.interpolateScattered([x, y, z]);
+        if (this.dimension !== 3) vector[2] = 0;
+        return { x: vector[0], y: vector[1], z: vector[2] };
+    }
+
+    /**
+     * Multilinear interpolation in the grid cell around p, NaN outside the grid and in cells with an undefined node
+     */
+    interpolateGrid(p) {
+        const { axes, values } = this.grid;
+        const [nx, ny] = axes.map(values => values.length);
+        const cells = [];
+
+        for (let axis = 0; axis < 3; axis++) {
+            const nodes = axes[axis];
+            const last = nodes.length - 1;
+            // Axes with a single value (e.g. z of planar data) are constant
+            if (last === 0) {
+                cells.push({ lo: 0, hi: 0, f: 0 });
+                continue;
+            }
+
+            const tolerance = (nodes[last] - nodes[0]) * 1e-6;
+            if (p[axis] < nodes[0] - tolerance || p[axis] > nodes[last] + tolerance) return [NaN, NaN, NaN];
+
+            let lo = 0;
+            let hi = last;
+            while (hi - lo > 1) {
+                const mid = (lo + hi) >> 1;
+                if (nodes[mid] <= p[axis]) lo = mid; else hi = mid;
+            }
+            const f = Math.min(1, Math.max(0, (p[axis] - nodes[lo]) / (nodes[hi] - nodes[lo])));
+            cells.push({ lo, hi, f });
+        }
+
+        const result = [0, 0, 0];
+        for (let corner = 0; corner < 8; corner++) {
+            let weight = 1;
+            const node = cells.map((cell, axis) => {
+                const upper = (corner >> axis) & 1;
+                weight *= upper ? cell.f : 1 - cell.f;
+                return upper ? cell.hi : cell.lo;
+            });
+            if (weight === 0) continue;
+
+            const index = ((node[2] * ny + node[1]) * nx + node[0]) * 3;
+            for (let c = 0; c < 3; c++) result[c] += weight * values[index + c];
+        }
+        return result;
+    }
+
+    /**
+     * Distance-weighted average of the points within two cell sizes of p, with weights
+     * ((R - d) / (R d))^2 that fall smoothly to zero at the radius R; NaN if no point is that close
+     */
+    interpolateScattered(p) {
+        const { positions, vectors } = this.dataset;
+        const { origin, size, counts, spans, start, order } = this.buckets;
+        const radius = 2 * size;
+
+        const ranges = [0, 1, 2].map(axis => {
+            // Axes the data does not span are ignored
+            if (!spans[axis]) return null;
+            const c = Math.floor((p[axis] - origin[axis]) / size);
+            return [Math.max(0, c - 2), Math.min(counts[axis] - 1, c + 2)];
+        });
+        if (ranges.some(range => range && range[0] > range[1])) return [NaN, NaN, NaN];
+
+        const [xs, ys, zs] = ranges.map(range => range || [0, 0]);
+        const result = [0, 0, 0];
+        let total = 0;
+
+        for (let k = zs[0]; k <= zs[1]; k++) {
+            for (let j = ys[0]; j <= ys[1]; j++) {
+                for (let i = xs[0]; i <= xs[1]; i++) {
+                    const cell = (k * counts[1] + j) * counts[0] + i;
+                    for (let s = start[cell]; s < start[cell + 1]; s++) {
+                        const n = order[s];
+                        let d2 = 0;
+                        for (let axis = 0; axis < 3; axis++) {
+                            if (!ranges[axis]) continue;
+                            const d = positions[n * 3 + axis] - p[axis];
+                            d2 += d * d;
+                        }
+                        const d = Math.sqrt(d2);
+                        if (d < size * 1e-9) {
+                            return [vectors[n * 3], vectors[n * 3 + 1], vectors[n * 3 + 2]];
+                        }
+                        if (d >= radius) continue;
+
+                        const weight = Math.pow((radius - d) / (radius * d), 2);
+                        for (let c = 0; c < 3; c++) result[c] += weight * vectors[n * 3 + c];
+                        total += weight;
+                    }
+                }
+            }
+        }
+
+        return total > 0 ? result.map(value => value / total) : [NaN, NaN, NaN];
+    }
+}
@@ -0,0 +1,177 @@
+/**
+ * Field Sampler
+ * Samples layer grids in a Web Worker so the UI stays responsive, with a main-thread
+ * fallback where workers cannot start (e.g. pages opened from file://)
+ */
+
+class FieldSampler {
+    constructor(workerUrl = 'samplingWorker.js') {
+        this.worker = null;
+        this.nextId = 1;
+        this.latestId = 0;
+        this.current = null;    // Request the worker is busy with
+        this.pending = null;    // Newest request waiting for the worker
+        this.sentDatasets = new Set();  // Keys of the datasets the worker holds
+
+        try {
+            if (typeof Worker !== 'undefined') {
+                this.worker = new Worker(workerUrl);
+                this.worker.onmessage = (e) => this.onResult(e.data);
+                this.worker.onerror = (e) => this.onWorkerError(e);
+            }
+        } catch (e) {
+            console.warn('Sampling on the main thread, worker unavailable:', e.message);
+            this.worker = null;
+        }
+    }
+
+    /**
+     * Sample the requested layers
+     * @param {object} request - {layers, fields, parameters, dimension, bounds, density, t, sampleIds, derivativesFor,
+     *   overlay, overlayResolution, volumes}; layers are plain specs for the worker, fields the parsed VectorFields
+     *   by id for the fallback, parameters the values of the expression parameters by name, volumes the scalar
+     *   volumes to sample as [{key, id, quantity, resolution}]
+     * @returns {Promise<object|null>} - {results: [{id, samples, maxMag}], scalarGrid, volumes: [{key, grid}]},
+     *   or null when a newer request made this one stale
+     */
+    sample(request) {
+        const id = this.nextId++;
+        this.latestId = id;
+
+        return new Promise(resolve => {
+            if (!this.worker) {
+                resolve(FieldSampler.sampleLayers(request.fields, request));
+                return;
+            }
+
+            // Only the newest waiting request is worth computing
+            if (this.pending) this.pending.resolve(null);
+            this.pending = { id, request, resolve };
+            this.flush();
+        });
+    }
+
+    /**
+     * Send the pending request once the worker is free
+     */
+    flush() {
+        if (this.current || !this.pending) return;
+
+        this.current = this.pending;
+        this.pending = null;
+
+        const { fields, layers, ...message } = this.current.request;
+        this.worker.postMessage({ id: this.current.id, ...message, ...this.shareDatasets(layers) });
+    }
+
+    /**
+     * Replace the datasets of data layers by their keys, sending each dataset to the worker only once
+     * The worker keeps the datasets of the current layers and drops the others, and so does sentDatasets
+     * @returns {object} - {layers, datasets: [{key, dataset}] the worker does not hold yet}
+     */
+    shareDatasets(layers) {
+        const datasets = [];
+        const keys = new Set();
+        const specs = layers.map(spec => {
+            if (!spec.dataset) return spec;
+
+            const key = FieldSampler.getDatasetKey(spec.dataset);
+            if (!this.sentDatasets.has(key) && !keys.has(key)) datasets.push({ key, dataset: spec.dataset });
+            keys.add(key);
+            return { ...spec, dataset: key };
+        });
+        this.sentDatasets = keys;
+        return { layers: specs, datasets };
+    }
+
+    /**
+     * Identifies a dataset by file name and load time rather than its (large) point arrays
+     */
+    static getDatasetKey(dataset) {
+        return `${dataset.name}:${dataset.loadedAt}`;
+    }
+
+    onResult(data) {
+        const job = this.current;
+        this.current = null;
+
+        if (job.id !== this.latestId) {
+            // Superseded while the worker was busy
+            job.resolve(null);
+        } else if (data.error) {
+            console.warn('Worker sampling failed, retrying on the main thread:', data.error);
+            job.resolve(FieldSampler.sampleLayers(job.request.fields, job.request));
+        } else {
+            job.resolve(data);
+        }
+
+        this.flush();
+    }
+
+    /**
+     * The worker failed to load (e.g. math.js unreachable); sample on the main thread from now on
+     */
+    onWorkerError(e) {
+        e.preventDefault();
+        console.warn('Sampling on the main thread, worker failed:', e.message);
+
+        this.worker.terminate();
+        this.worker = null;
+
+        const jobs = [this.current, this.pending].filter(Boolean);
+        this.current = null;
+        this.pending = null;
+        jobs.forEach(job => {
+            job.resolve(job.id === this.latestId
+                ? FieldSampler.sampleLayers(job.request.fields, job.request)
+                : null);
+        });
+    }
+
+    /**
+     * Sample grids, derivatives and the overlay heatmap; shared by the worker and the fallback
+     * @param {Map} fields - Parsed VectorFields by layer id
+     * @param {object} request - See sample()
+     */
+    static sampleLayers(fields, request) {
+        const { bounds, density, t, sampleIds, derivativesFor, overlay, overlayResolution, volumes = [] } = request;
+
+        const results = sampleIds.map(id => {
+            const field = fields.get(id);
+            const samples = field.generateGrid(bounds, density, t);
+            if (id === derivativesFor) {
+                field.addDerivatives(samples, t);
+            }
+            return { id, samples, maxMag: field.findMaxMagnitude(samples) };
+        });
+
+        const scalarGrid = overlay && fields.has(derivativesFor)
+            ? fields.get(derivativesFor).generateScalarGrid(bounds, overlayResolution, overlay, t)
+            : null;
+
+        // Isosurfaces and 3D equipotentials take seconds to sample at high densities
+        const volumeGrids = volumes.map(({ key, id, quantity, resolution }) => ({
+            key,
+            grid: fields.get(id).generateVolumeGrid(bounds, resolution, quantity, t)
+        }));
+
+        return { results, scalarGrid, volumes: volumeGrids };
+    }
+
+    /**
+     * Buffers to transfer instead of copy when posting a result
+     */
+    static getTransferables(result) {
+        const buffers = [];
+        result.results.forEach(({ samples }) => {
+            ['positions', 'vectors', 'magnitudes', 'divergence', 'curl'].forEach(key => {
+                if (samples[key]) buffers.push(samples[key].buffer);
+            });
+        });
+        if (result.scalarGrid) {
+            buffers.push(result.scalarGrid.values.buffer);
+        }
+        result.volumes.forEach(({ grid }) => buffers.push(grid.values.buffer));
+        return buffers;
+    }
+}
@@ -0,0 +1,163 @@
+/**
+ * Isosurface Extraction
+ * Marching cubes over a scalar volume grid from VectorField.generateVolumeGrid
+ */
+
+// Cube corners as grid offsets, the corner pairs of the twelve edges, and the faces as corner cycles
+const CUBE_CORNERS = [[0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0], [0, 0, 1], [1, 0, 1], [1, 1, 1], [0, 1, 1]];
+const CUBE_EDGES = [[0, 1], [1, 2], [2, 3], [3, 0], [4, 5], [5, 6], [6, 7], [7, 4], [0, 4], [1, 5], [2, 6], [3, 7]];
+const CUBE_FACES = [[0, 1, 2, 3], [4, 5, 6, 7], [0, 1, 5, 4], [1, 2, 6, 5], [2, 3, 7, 6], [3, 0, 4, 7]];
+
+class MarchingCubes {
+    /**
+     * Triangles for each of the 256 inside/outside corner patterns, as triples of edge indices
+     * Built once by tracing where the surface crosses each face and joining the crossings into loops;
+     * faces with two diagonal inside corners always cut those corners off separately, so neighboring
+     * cubes agree on the shared face and the surface has no holes
+     */
+    static getCaseTable() {
+        if (MarchingCubes.caseTable) return MarchingCubes.caseTable;
+
+        const edgeOf = (a, b) => CUBE_EDGES.findIndex(([p, q]) => (p === a && q === b) || (p === b && q === a));
+        const table = [];
+
+        for (let cube = 0; cube < 256; cube++) {
+            const inside = corner => (cube >> corner) & 1;
+            const segments = [];
+
+            CUBE_FACES.forEach(face => {
+                const crossings = [];
+                for (let k = 0; k < 4; k++) {
+                    const a = face[k];
+                    const b = face[(k + 1) % 4];
+                    if (inside(a) !== inside(b)) crossings.push(edgeOf(a, b));
+                }
+
+                if (crossings.length === 2) {
+                    segments.push(crossings);
+                } else if (crossings.length === 4) {
+                    // Crossings k and k + 1 enclose corner k + 1 of the face
+                    const shift = inside(face[1]) ? 0 : 1;
+                    segments.push([crossings[shift], crossings[shift + 1]]);
+                    segments.push([crossings[(shift + 2) % 4], crossings[(shift + 3) % 4]]);
+                }
+            });
+
+            // Every crossed edge lies on two faces, so the segments chain into closed loops
+            const triangles = [];
+            while (segments.length > 0) {
+                const loop = segments.pop();
+                for (;;) {
+                    const last = loop[loop.length - 1];
+                    const n = segments.findIndex(segment => segment.includes(last));
+                    if (n < 0) break;
+                    const [segment] = segments.splice(n, 1);
+                    const next = segment[0] === last ? segment[1] : segment[0];
+                    if (next === loop[0]) break;
+                    loop.push(next);
+                }
+                for (let k = 1; k < loop.length - 1; k++) {
+                    triangles.push(loop[0], loop[k], loop[k + 1]);
+                }
+            }
+            table.push(triangles);
+        }
+
+        MarchingCubes.caseTable = table;
+        return table;
+    }
+
+    /**
+     * Extract the surface where the grid values equal isoValue
+     * Normals follow the gradient of the scalar and triangles are wound to match them
+     * @param {object} grid - {nx, ny, nz, values, bounds} from VectorField.generateVolumeGrid
+     * @returns {object} - {positions, normals} as Float32Arrays of x,y,z triples, three vertices per triangle
+     */
+    static extract(grid, isoValue) {
+        const { nx, ny, nz, values, bounds } = grid;
+        const { xMin, xMax, yMin, yMax, zMin, zMax } = bounds;
+        const step = [(xMax - xMin) / (nx - 1), (yMax - yMin) / (ny - 1), (zMax - zMin) / (nz - 1)];
+        const sizes = [nx, ny, nz];
+        const table = MarchingCubes.getCaseTable();
+        const index = (i, j, k) => (k * ny + j) * nx + i;
+
+        // Central differences inside the grid, one-sided on its faces
+        const gradient = (i, j, k) => [0, 1, 2].map(axis => {
+            const node = [i, j, k];
+            const lo = node.slice();
+            const hi = node.slice();
+            lo[axis] = Math.max(0, node[axis] - 1);
+            hi[axis] = Math.min(sizes[axis] - 1, node[axis] + 1);
+            const difference = values[index(...hi)] - values[index(...lo)];
+            return difference / ((hi[axis] - lo[axis]) * step[axis]) || 0;
+        });
+
+        const positions = [];
+        const normals = [];
+        const cornerValues = new Array(8);
+        const edgePoints = new Array(12);
+
+        for (let k = 0; k < nz - 1; k++) {
+            for (let j = 0; j < ny - 1; j++) {
+                for (let i = 0; i < nx - 1; i++) {
+                    let cube = 0;
+                    let defined = true;
+                    for (let c = 0; c < 8; c++) {
+                        const [di, dj, dk] = CUBE_CORNERS[c];
+                        cornerValues[c] = values[index(i + di, j + dj, k + dk)];
+                        if (isNaN(cornerValues[c])) defined = false;
+                        if (cornerValues[c] > isoValue) cube |= 1 << c;
+                    }
+
+                    // Cells touching undefined samples are left open
+                    const triangles = table[cube];
+                    if (!defined || triangles.length === 0) continue;
+
+                    edgePoints.fill(null);
+                    const pointOnEdge = edge => {
+                        if (edgePoints[edge]) return edgePoints[edge];
+
+                        const [a, b] = CUBE_EDGES[edge];
+                        const s = (isoValue - cornerValues[a]) / (cornerValues[b] - cornerValues[a]);
+                        const ca = CUBE_CORNERS[a];
+                        const cb = CUBE_CORNERS[b];
+                        const ga = gradient(i + ca[0], j + ca[1], k + ca[2]);
+                        const gb = gradient(i + cb[0], j + cb[1], k + cb[2]);
+                        const origin = [xMin, yMin, zMin];
+                        const node = [i, j, k];
+
+                        edgePoints[edge] = {
+                            position: [0, 1, 2].map(axis => {
+                                return origin[axis] + (node[axis] + ca[axis] + s * (cb[axis] - ca[axis])) * step[axis];
+                            }),
+                            // Values grow along the gradient, so the normal points out of the region above isoValue
+                            normal: [0, 1, 2].map(axis => -(ga[axis] + s * (gb[axis] - ga[axis])))
+                        };
+                        return edgePoints[edge];
+                    };
+
+                    for (let t = 0; t < triangles.length; t += 3) {
+                        let [p, q, r] = [triangles[t], triangles[t + 1], triangles[t + 2]].map(pointOnEdge);
+
+                        // Wind counter-clockwise around the normal so front faces face outward
+                        const u = [0, 1, 2].map(axis => q.position[axis] - p.position[axis]);
+                        const v = [0, 1, 2].map(axis => r.position[axis] - p.position[axis]);
+                        const face = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+                        const normal = [0, 1, 2].map(axis => p.normal[axis] + q.normal[axis] + r.normal[axis]);
+                        if (face[0] * normal[0] + face[1] * normal[1] + face[2] * normal[2] < 0) {
+                            [q, r] = [r, q];
+                        }
+
+                        [p, q, r].forEach(point => {
+                            positions.push(...point.position);
+                            const length = Math.hypot(...point.normal) || 1;
+                            normals.push(point.normal[0] / length, point.normal[1] / length, point.normal[2] / length);
+                        });
+                    }
+                }
+            }
+        }
+
+        return { positions: new Float32Array(positions), normals: new Float32Array(normals) };
+    }
+}
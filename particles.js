@@ -0,0 +1,142 @@
+/**
+ * Particle Advector
+ * Moves randomly seeded particles through a VectorField and keeps a short trail for each
+ */
+
+class ParticleAdvector {
+    constructor(vectorField) {
+        this.vectorField = vectorField;
+        this.count = 0;
+        this.trailLength = 12;      // Positions kept per particle, newest first
+        this.maxAge = 240;          // Frames before a particle is recycled
+        this.stall = 1e-4;          // Speeds below this respawn the particle
+        this.speedScale = 1;
+        this.bounds = null;
+        this.dimension = 2;
+    }
+
+    /**
+     * Update bounds, particle count and speed scaling, reseeding when the domain changes
+     * @param {object} options - {bounds, count, maxMag}
+     */
+    configure(options) {
+        const { bounds, count, maxMag } = options;
+        const dimension = this.vectorField.dimension;
+        const domain = {
+            xMin: bounds.xMin, xMax: bounds.xMax,
+            yMin: bounds.yMin, yMax: bounds.yMax,
+            zMin: dimension === 3 ? bounds.zMin : 0,
+            zMax: dimension === 3 ? bounds.zMax : 0
+        };
+
+        const changed = count !== this.count ||
+            dimension !== this.dimension ||
+            !this.bounds ||
+            Object.keys(domain).some(key => domain[key] !== this.bounds[key]);
+
+        this.bounds = domain;
+        this.dimension = dimension;
+
+        // The fastest particle crosses a quarter of the domain per second
+        const extent = Math.min(domain.xMax - domain.xMin, domain.yMax - domain.yMin);
+        this.speedScale = maxMag > 0 ? extent / (4 * maxMag) : 1;
+
+        if (changed) {
+            this.reset(count);
+        }
+    }
+
+    /**
+     * Allocate buffers and seed every particle at a random position
+     */
+    reset(count) {
+        this.count = count;
+        this.positions = new Float32Array(count * 3);
+        this.velocities = new Float32Array(count * 3);
+        this.speeds = new Float32Array(count);
+        this.trails = new Float32Array(count * this.trailLength * 3);
+        this.ages = new Uint16Array(count);
+        this.lifetimes = new Uint16Array(count);
+
+        for (let n = 0; n < count; n++) {
+            this.respawn(n);
+            // Spread ages so particles do not all recycle on the same frame
+            this.ages[n] = Math.floor(Math.random() * this.lifetimes[n]);
+        }
+    }
+
+    /**
+     * Move a particle to a new random position and collapse its trail onto it
+     */
+    respawn(n) {
+        const { xMin, xMax, yMin, yMax, zMin, zMax } = this.bounds;
+        const x = xMin + Math.random() * (xMax - xMin);
+        const y = yMin + Math.random() * (yMax - yMin);
+        const z = zMin + Math.random() * (zMax - zMin);
+
+        this.positions.set([x, y, z], n * 3);
+        this.velocities.fill(0, n * 3, n * 3 + 3);
+        this.speeds[n] = 0;
+        this.ages[n] = 0;
+        this.lifetimes[n] = Math.floor(this.maxAge * (0.5 + Math.random() * 0.5));
+
+        const start = n * this.trailLength * 3;
+        for (let k = 0; k < this.trailLength; k++) {
+            this.trails.set([x, y, z], start + k * 3);
+        }
+    }
+
+    /**
+     * Advance all particles with a midpoint (RK2) step
+     * @param {number} dt - Time step in seconds
+     * @param {number} t - Field time parameter
+     */
+    step(dt, t = 0) {
+        const h = dt * this.speedScale;
+        const is3D = this.dimension === 3;
+
+        for (let n = 0; n < this.count; n++) {
+            const i = n * 3;
+            const x = this.positions[i];
+            const y = this.positions[i + 1];
+            const z = this.positions[i + 2];
+
+            const v1 = this.vectorField.evaluate(x, y, z, t);
+            const v1z = is3D ? v1.z : 0;
+            const v2 = this.vectorField.evaluate(x + 0.5 * h * v1.x, y + 0.5 * h * v1.y, z + 0.5 * h * v1z, t);
+            const v2z = is3D ? v2.z : 0;
+
+            const nx = x + h * v2.x;
+            const ny = y + h * v2.y;
+            const nz = z + h * v2z;
+            const speed = Math.sqrt(v2.x * v2.x + v2.y * v2.y + v2z * v2z);
+
+            this.ages[n]++;
+            if (!Number.isFinite(speed) || speed < this.stall ||
+                !this.isInside(nx, ny, nz) || this.ages[n] > this.lifetimes[n]) {
+                this.respawn(n);
+                continue;
+            }
+
+            this.positions[i] = nx;
+            this.positions[i + 1] = ny;
+            this.positions[i + 2] = nz;
+            this.velocities[i] = v2.x;
+            this.velocities[i + 1] = v2.y;
+            this.velocities[i + 2] = v2z;
+            this.speeds[n] = speed;
+
+            // Shift the trail back by one and put the new position in front
+            const start = n * this.trailLength * 3;
+            this.trails.copyWithin(start + 3, start, start + (this.trailLength - 1) * 3);
+            this.trails[start] = nx;
+            this.trails[start + 1] = ny;
+            this.trails[start + 2] = nz;
+        }
+    }
+
+    isInside(x, y, z) {
+        const { xMin, xMax, yMin, yMax, zMin, zMax } = this.bounds;
+        return x >= xMin && x <= xMax && y >= yMin && y <= yMax && z >= zMin && z <= zMax;
+    }
+}
@@ -0,0 +1,203 @@
+/**
+ * Path Integrator
+ * Work and flux of a 2D VectorField along a polyline path, with a Green's theorem check for closed paths
+ */
+
+class PathIntegrator {
+    constructor(vectorField) {
+        this.vectorField = vectorField;
+        this.areaResolution = 100;     // Grid cells per axis for the area integrals
+    }
+
+    /**
+     * Sample a parametric curve r(s), written as '[2*cos(s), sin(s)]' or 'i*2*cos(s) + j*sin(s)'
+     * @param {string} expression - Curve in terms of s (and optionally t)
+     * @param {number} sStart - First parameter value
+     * @param {number} sEnd - Last parameter value
+     * @param {number} segments - Number of straight segments
+     * @returns {array} - Array of {x, y}
+     */
+    static sampleParametric(expression, sStart, sEnd, segments = 400, t = 0) {
+        if (!expression.trim()) {
+            throw new Error('Enter a curve r(s), e.g. [2*cos(s), 2*sin(s)]');
+        }
+
+        const compiled = math.compile(expression);
+        const scope = { t, i: math.matrix([1, 0]), j: math.matrix([0, 1]) };
+        const points = [];
+
+        for (let n = 0; n <= segments; n++) {
+            scope.s = sStart + (sEnd - sStart) * n / segments;
+            let value = compiled.evaluate(scope);
+            if (math.isMatrix(value)) value = value.toArray();
+
+            if (!Array.isArray(value) || value.length !== 2) {
+                throw new Error('r(s) must be a 2D vector, e.g. [2*cos(s), 2*sin(s)]');
+            }
+
+            const [x, y] = value.map(Number);
+            if (!Number.isFinite(x) || !Number.isFinite(y)) {
+                throw new Error(`r(s) is undefined at s = ${scope.s.toFixed(3)}`);
+            }
+            points.push({ x, y });
+        }
+
+        return points;
+    }
+
+    /**
+     * Work and flux integrals along a path of straight segments, Simpson's rule on each segment
+     * The normal is n ds = (dy, -dx), pointing outward for counter-clockwise paths
+     * @param {array} points - Array of {x, y}
+     * @param {object} options - {closed, t}; closed paths return to the first point
+     * @returns {object} - {work, flux, length, closed, green}; green is set for closed paths
+     */
+    integrate(points, options = {}) {
+        const { closed = false, t = 0 } = options;
+        const path = closed ? [...points, points[0]] : points;
+        const F = (x, y) => this.vectorField.evaluate(x, y, 0, t);
+        let work = 0;
+        let flux = 0;
+        let length = 0;
+
+        for (let n = 0; n < path.length - 1; n++) {
+            const a = path[n];
+            const b = path[n + 1];
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+
+            const fa = F(a.x, a.y);
+            const fm = F((a.x + b.x) / 2, (a.y + b.y) / 2);
+            const fb = F(b.x, b.y);
+            const fx = (fa.x + 4 * fm.x + fb.x) / 6;
+            const fy = (fa.y + 4 * fm.y + fb.y) / 6;
+
+            work += fx * dx + fy * dy;
+            flux += fx * dy - fy * dx;
+            length += Math.hypot(dx, dy);
+        }
+
+        return {
+            work,
+            flux,
+            length,
+            closed,
+            green: closed && path.length > 3 ? this.checkGreen(path, t) : null
+        };
+    }
+
+    /**
+     * Area integrals of the scalar curl and the divergence over the region a closed path encloses
+     * By Green's theorem these equal the work and flux around the boundary
+     * @param {array} polygon - Closed path, last point equal to the first
+     * @returns {object} - {area, curlIntegral, divergenceIntegral, undefinedPoints}, signed to match the path orientation
+     */
+    checkGreen(polygon, t = 0) {
+        // Shoelace formula: positive for counter-clockwise paths
+        let signedArea = 0;
+        for (let n = 0; n < polygon.length - 1; n++) {
+            signedArea += polygon[n].x * polygon[n + 1].y - polygon[n + 1].x * polygon[n].y;
+        }
+        signedArea /= 2;
+
+        const xs = polygon.map(p => p.x);
+        const ys = polygon.map(p => p.y);
+        const xMin = Math.min(...xs);
+        const yMin = Math.min(...ys);
+        const dx = (Math.max(...xs) - xMin) / this.areaResolution;
+        const dy = (Math.max(...ys) - yMin) / this.areaResolution;
+
+        let curlIntegral = 0;
+        let divergenceIntegral = 0;
+        let undefinedPoints = 0;
+
+        // Midpoint rule over the grid cells whose centers lie inside
+        for (let j = 0; j < this.areaResolution; j++) {
+            for (let i = 0; i < this.areaResolution; i++) {
+                const x = xMin + (i + 0.5) * dx;
+                const y = yMin + (j + 0.5) * dy;
+                if (!this.isInsidePolygon(x, y, polygon)) continue;
+
+                // One Jacobian gives both the scalar curl and the divergence
+                const J = this.vectorField.jacobian(x, y, 0, t);
+                const curl = J[1][0] - J[0][1];
+                const div = J[0][0] + J[1][1];
+                if (!Number.isFinite(curl) || !Number.isFinite(div)) {
+                    undefinedPoints++;
+                    continue;
+                }
+                curlIntegral += curl * dx * dy;
+                divergenceIntegral += div * dx * dy;
+            }
+        }
+
+        const sign = signedArea < 0 ? -1 : 1;
+        return {
+            area: Math.abs(signedArea),
+            curlIntegral: sign * curlIntegral,
+            divergenceIntegral: sign * divergenceIntegral,
+            undefinedPoints
+        };
+    }
+
+    /**
+     * Even-odd ray casting test
+     */
+    isInsidePolygon(x, y, polygon) {
+        let inside = false;
+        for (let n = 0, m = polygon.length - 1; n < polygon.length; m = n++) {
+            const a = polygon[n];
+            const b = polygon[m];
+            if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * Tangential and normal parts of the field at points spread evenly along the path
+     * @returns {array} - Array of {x, y, tangent: [x, y], normal: [x, y], tangential, normalComponent}
+     */
+    getGlyphs(points, options = {}) {
+        const { closed = false, t = 0, count = 16 } = options;
+        const path = closed ? [...points, points[0]] : points;
+
+        const lengths = [0];
+        for (let n = 1; n < path.length; n++) {
+            lengths.push(lengths[n - 1] + Math.hypot(path[n].x - path[n - 1].x, path[n].y - path[n - 1].y));
+        }
+        const total = lengths[lengths.length - 1];
+        if (total === 0) return [];
+
+        const glyphs = [];
+        let segment = 0;
+        for (let k = 0; k < count; k++) {
+            const target = (k + 0.5) * total / count;
+            while (segment < path.length - 2 && lengths[segment + 1] < target) segment++;
+
+            const a = path[segment];
+            const b = path[segment + 1];
+            const segmentLength = lengths[segment + 1] - lengths[segment];
+            if (segmentLength === 0) continue;
+
+            const u = (target - lengths[segment]) / segmentLength;
+            const x = a.x + u * (b.x - a.x);
+            const y = a.y + u * (b.y - a.y);
+            const tangent = [(b.x - a.x) / segmentLength, (b.y - a.y) / segmentLength];
+            const normal = [tangent[1], -tangent[0]];
+            const f = this.vectorField.evaluate(x, y, 0, t);
+
+            glyphs.push({
+                x,
+                y,
+                tangent,
+                normal,
+                tangential: f.x * tangent[0] + f.y * tangent[1],
+                normalComponent: f.x * normal[0] + f.y * normal[1]
+            });
+        }
+
+        return glyphs;
+    }
+}
@@ -3,19 +3,51 @@
  * Handles 2D and 3D visualization with multiple render modes
  */
 
+// Domain shown before the first render
+const DEFAULT_BOUNDS = { xMin: -5, xMax: 5, yMin: -5, yMax: 5, zMin: -5, zMax: 5 };
+
+// Axis line colors, as in THREE.AxesHelper
+const AXIS_COLORS = { x: 0xff0000, y: 0x00ff00, z: 0x0000ff };
+
+// Marker color for grid samples where the field is undefined
+const SINGULAR_COLOR = '#d6249f';
+
+// Marker colors for the critical point types from VectorField.classifyCriticalPoint
+const CRITICAL_POINT_STYLES = {
+    source: { color: '#e74c3c' },
+    sink: { color: '#2980b9' },
+    saddle: { color: '#8e44ad' },
+    center: { color: '#f39c12' },
+    spiral: { color: '#16a085' },
+    degenerate: { color: '#7f8c8d' }
+};
+
 class VectorFieldRenderer {
     constructor(canvasElement) {
         this.canvas = canvasElement;
         this.scene = null;
-        this.camera = null;
+        this.camera = null;             // The orthographic camera in 2D, the perspective camera in 3D
+        this.perspectiveCamera = null;
+        this.orthographicCamera = null;
+        this.targets = null;            // Points each camera looks at and orbits, by camera type
+        this.viewHeight = 2 * 15 * Math.tan(Math.PI / 6);   // Orthographic frustum height at zoom 1
         this.renderer = null;
         this.controls = null;
-        this.vectorObjects = [];
+        this.slots = new Map();         // Persistent scene objects by key, see useSlot
+        this.usedSlots = new Set();
+        this.axes = null;               // Grid, axes, ticks and bounding box, rebuilt when the domain changes
+        this.axesKey = null;
+        this.framedBounds = {};         // Domain each camera was last framed to by dimension, null after a restore
         this.dimension = 2;
         this.renderMode = 'arrows';
         this.colorMode = 'magnitude';
+        this.solidColor = 0x667eea;
+        this.colormap = new Colormap('viridis');
+        this.divergingColormap = new Colormap('coolwarm');
         this.particles = [];
+        this.flowObjects = new Map();
         this.animationTime = 0;
+        this.onDragStart = null;        // mousedown => true to take over the drag instead of rotating or panning
 
         this.initThreeJS();
     }
@@ -28,15 +60,16 @@ class VectorFieldRenderer {
         this.scene = new THREE.Scene();
         this.scene.background = new THREE.Color(0xf8f9fa);
 
-        // Camera
-        this.camera = new THREE.PerspectiveCamera(
-            60,
-            this.canvas.clientWidth / this.canvas.clientHeight,
-            0.1,
-            1000
-        );
-        this.camera.position.set(0, 0, 15);
-        this.camera.lookAt(0, 0, 0);
+        // Cameras: a perspective camera orbiting its target in 3D, a top-down orthographic one in 2D
+        this.perspectiveCamera = new THREE.PerspectiveCamera(60, 1, 0.1, 1000);
+        this.perspectiveCamera.position.set(0, 0, 15);
+        this.orthographicCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 1000);
+        this.orthographicCamera.position.set(0, 0, 100);
+        this.targets = { perspective: new THREE.Vector3(), orthographic: new THREE.Vector3() };
+        this.perspectiveCamera.lookAt(this.targets.perspective);
+        this.orthographicCamera.lookAt(this.targets.orthographic);
+        this.updateProjection();
+        this.camera = this.dimension === 2 ? this.orthographicCamera : this.perspectiveCamera;
 
         // Renderer
         this.renderer = new THREE.WebGLRenderer({
@@ -54,7 +87,7 @@ class VectorFieldRenderer {
         directionalLight.position.set(10, 10, 10);
         this.scene.add(directionalLight);
 
-        // Add axes and grid
+        // Axes and grid for the default domain until the first render
         this.addAxesAndGrid();
 
         // Handle window resize
@@ -65,245 +98,1403 @@ class VectorFieldRenderer {
     }
 
     /**
-     * Add axes and grid helpers
+     * Grid, axes and labeled ticks fitted to the domain, plus an optional bounding box in 3D
+     * 2D: grid lines at the ticks inside a frame, ticks along the bottom and left edges;
+     * 3D: grid on the floor (y = yMin), ticks along the three box edges nearest the default view.
+     * Axis lines are drawn through the origin where it lies in the domain
      */
-    addAxesAndGrid() {
-        // Remove old helpers
-        const oldHelpers = this.scene.children.filter(
-            child => child instanceof THREE.GridHelper || 
-                     child instanceof THREE.AxesHelper ||
-                     child.name === 'gridHelper'
-        );
-        oldHelpers.forEach(helper => this.scene.remove(helper));
-
-        if (this.dimension === 2) {
-            // 2D Grid (on XY plane)
-            const gridHelper = new THREE.GridHelper(20, 20, 0xcccccc, 0xe0e0e0);
-            gridHelper.rotation.x = Math.PI / 2;
-            gridHelper.name = 'gridHelper';
-            this.scene.add(gridHelper);
+    addAxesAndGrid(bounds = DEFAULT_BOUNDS, boundingBox = true) {
+        if (this.axes) {
+            this.scene.remove(this.axes);
+            this.axes.traverse(obj => {
+                // Sprites share one geometry across the whole library
+                if (obj.geometry && !obj.isSprite) obj.geometry.dispose();
+                if (!obj.material) return;
+                if (obj.material.map) obj.material.map.dispose();
+                obj.material.dispose();
+            });
+        }
+
+        const is3D = this.dimension === 3;
+        const { xMin, xMax, yMin, yMax } = bounds;
+        const zMin = is3D ? bounds.zMin : 0;
+        const zMax = is3D ? bounds.zMax : 0;
+        const extent = Math.max(xMax - xMin, yMax - yMin, zMax - zMin);
+        const tick = extent * 0.015;
+        const labelHeight = extent * (is3D ? 0.035 : 0.03);
+        // Tick labels have the same size on every axis, so shorter axes get fewer
+        const getTicks = (min, max) => ColorLegend.getTicks(min, max, Math.max(2, (is3D ? 5 : 8) * (max - min) / extent));
+        const ticks = {
+            x: getTicks(xMin, xMax),
+            y: getTicks(yMin, yMax),
+            z: is3D ? getTicks(zMin, zMax) : []
+        };
+
+        const group = new THREE.Group();
+        group.name = 'axes';
+        const grid = [];
+        const edges = [];       // Frame or bounding box, and tick marks
+        const addLabel = (text, x, y, z, centerX, centerY) => {
+            const label = this.createLabel(text, '#555555', labelHeight, null);
+            if (!label) return;
+            label.position.set(x, y, z);
+            label.center.set(centerX, centerY);
+            group.add(label);
+        };
+
+        if (is3D) {
+            ticks.x.forEach(({ value }) => grid.push(value, yMin, zMin, value, yMin, zMax));
+            ticks.z.forEach(({ value }) => grid.push(xMin, yMin, value, xMax, yMin, value));
+
+            if (boundingBox) {
+                const box = new THREE.EdgesGeometry(new THREE.BoxGeometry(xMax - xMin, yMax - yMin, zMax - zMin));
+                box.translate((xMin + xMax) / 2, (yMin + yMax) / 2, (zMin + zMax) / 2);
+                edges.push(...box.attributes.position.array);
+                box.dispose();
+            }
+
+            // Labels hang below the floor edges facing (1, 1, 1) and left of the vertical edge at (xMin, zMax)
+            ticks.x.forEach(({ value, label }) => {
+                edges.push(value, yMin, zMax, value, yMin, zMax + tick);
+                addLabel(label, value, yMin - tick, zMax + 2 * tick, 0.5, 1);
+            });
+            ticks.z.forEach(({ value, label }) => {
+                edges.push(xMax, yMin, value, xMax + tick, yMin, value);
+                addLabel(label, xMax + 2 * tick, yMin - tick, value, 0.5, 1);
+            });
+            ticks.y.forEach(({ value, label }) => {
+                edges.push(xMin, value, zMax, xMin - tick, value, zMax);
+                addLabel(label, xMin - 2 * tick, value, zMax, 1, 0.5);
+            });
+            addLabel('x', (xMin + xMax) / 2, yMin - 2 * tick - 1.5 * labelHeight, zMax + 2 * tick, 0.5, 1);
+            addLabel('z', xMax + 2 * tick, yMin - 2 * tick - 1.5 * labelHeight, (zMin + zMax) / 2, 0.5, 1);
+            addLabel('y', xMin, yMax + 2 * tick, zMax, 0.5, 0);
         } else {
-            // 3D Grid
-            const gridHelper = new THREE.GridHelper(20, 20, 0xcccccc, 0xe0e0e0);
-            gridHelper.name = 'gridHelper';
-            this.scene.add(gridHelper);
+            ticks.x.forEach(({ value }) => grid.push(value, yMin, 0, value, yMax, 0));
+            ticks.y.forEach(({ value }) => grid.push(xMin, value, 0, xMax, value, 0));
+            edges.push(
+                xMin, yMin, 0, xMax, yMin, 0,
+                xMax, yMin, 0, xMax, yMax, 0,
+                xMax, yMax, 0, xMin, yMax, 0,
+                xMin, yMax, 0, xMin, yMin, 0
+            );
+
+            ticks.x.forEach(({ value, label }) => {
+                edges.push(value, yMin, 0, value, yMin - tick, 0);
+                addLabel(label, value, yMin - 2 * tick, 0, 0.5, 1);
+            });
+            ticks.y.forEach(({ value, label }) => {
+                edges.push(xMin, value, 0, xMin - tick, value, 0);
+                addLabel(label, xMin - 2 * tick, value, 0, 1, 0.5);
+            });
+            addLabel('x', xMax + 2 * tick, yMin, 0, 0, 0.5);
+            addLabel('y', xMin, yMax + 2 * tick, 0, 0.5, 0);
         }
 
-        // Axes
-        const axesHelper = new THREE.AxesHelper(10);
-        this.scene.add(axesHelper);
+        // Axes through the origin, each only where the other two coordinates can be zero
+        const axes = [];
+        const colors = [];
+        const contains = (min, max) => min <= 0 && max >= 0;
+        const addAxis = (from, to, color) => {
+            axes.push(...from, ...to);
+            const rgb = new THREE.Color(color);
+            colors.push(rgb.r, rgb.g, rgb.b, rgb.r, rgb.g, rgb.b);
+        };
+        if (contains(yMin, yMax) && contains(zMin, zMax)) addAxis([xMin, 0, 0], [xMax, 0, 0], AXIS_COLORS.x);
+        if (contains(xMin, xMax) && contains(zMin, zMax)) addAxis([0, yMin, 0], [0, yMax, 0], AXIS_COLORS.y);
+        if (is3D && contains(xMin, xMax) && contains(yMin, yMax)) addAxis([0, 0, zMin], [0, 0, zMax], AXIS_COLORS.z);
+
+        const addLines = (positions, material, lineColors = null) => {
+            if (positions.length === 0) return;
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+            if (lineColors) geometry.setAttribute('color', new THREE.Float32BufferAttribute(lineColors, 3));
+            group.add(new THREE.LineSegments(geometry, material));
+        };
+        addLines(grid, new THREE.LineBasicMaterial({ color: 0xe0e0e0 }));
+        addLines(edges, new THREE.LineBasicMaterial({ color: 0x999999 }));
+        addLines(axes, new THREE.LineBasicMaterial({ vertexColors: true }), colors);
+
+        this.axes = group;
+        this.scene.add(group);
     }
 
     /**
-     * Add mouse controls for camera
+     * Add mouse and touch controls for the camera
+     * 3D: drag to orbit the target, right- or Shift+drag to pan; 2D: drag to pan.
+     * The wheel and pinches zoom toward the pointer
      */
     addMouseControls() {
-        let isDragging = false;
-        let previousMousePosition = { x: 0, y: 0 };
-        const rotationSpeed = 0.005;
+        let drag = null;            // 'rotate' or 'pan' while a button is held
+        let previous = { x: 0, y: 0 };
+        let touches = [];
+
+        this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
 
         this.canvas.addEventListener('mousedown', (e) => {
-            isDragging = true;
-            previousMousePosition = { x: e.clientX, y: e.clientY };
+            if (this.onDragStart && this.onDragStart(e)) return;
+            drag = e.button === 2 || e.shiftKey || this.dimension === 2 ? 'pan' : 'rotate';
+            previous = { x: e.clientX, y: e.clientY };
         });
 
-        this.canvas.addEventListener('mousemove', (e) => {
-            if (!isDragging) return;
+        // Drags continue outside the canvas
+        window.addEventListener('mousemove', (e) => {
+            if (!drag) return;
 
-            const deltaX = e.clientX - previousMousePosition.x;
-            const deltaY = e.clientY - previousMousePosition.y;
+            if (drag === 'pan') {
+                this.pan(e.clientX - previous.x, e.clientY - previous.y);
+            } else {
+                this.rotate(e.clientX - previous.x, e.clientY - previous.y);
+            }
+            previous = { x: e.clientX, y: e.clientY };
+        });
 
-            // Rotate camera around origin
-            const radius = Math.sqrt(
-                this.camera.position.x ** 2 +
-                this.camera.position.y ** 2 +
-                this.camera.position.z ** 2
-            );
+        window.addEventListener('mouseup', () => {
+            drag = null;
+        });
 
-            const theta = Math.atan2(this.camera.position.x, this.camera.position.z);
-            const phi = Math.acos(this.camera.position.y / radius);
+        this.canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            // Line-based deltas (deltaMode 1) are roughly 16 px each
+            const delta = e.deltaY * (e.deltaMode === 1 ? 16 : 1);
+            this.zoom(Math.exp(delta * 0.002), e.clientX, e.clientY);
+        }, { passive: false });
 
-            const newTheta = theta - deltaX * rotationSpeed;
-            const newPhi = Math.max(0.1, Math.min(Math.PI - 0.1, phi - deltaY * rotationSpeed));
+        // One finger orbits (pans in 2D), two fingers pan and pinch-zoom around their midpoint
+        const readTouches = (e) => Array.from(e.touches, touch => ({ x: touch.clientX, y: touch.clientY }));
+        this.canvas.addEventListener('touchstart', (e) => {
+            touches = readTouches(e);
+        });
 
-            this.camera.position.x = radius * Math.sin(newPhi) * Math.sin(newTheta);
-            this.camera.position.y = radius * Math.cos(newPhi);
-            this.camera.position.z = radius * Math.sin(newPhi) * Math.cos(newTheta);
-            this.camera.lookAt(0, 0, 0);
+        this.canvas.addEventListener('touchmove', (e) => {
+            e.preventDefault();
+            const current = readTouches(e);
+            if (current.length !== touches.length) {
+                touches = current;
+                return;
+            }
 
-            previousMousePosition = { x: e.clientX, y: e.clientY };
-        });
+            if (current.length === 1) {
+                const dx = current[0].x - touches[0].x;
+                const dy = current[0].y - touches[0].y;
+                if (this.dimension === 2) {
+                    this.pan(dx, dy);
+                } else {
+                    this.rotate(dx, dy);
+                }
+            } else if (current.length >= 2) {
+                const middle = points => ({ x: (points[0].x + points[1].x) / 2, y: (points[0].y + points[1].y) / 2 });
+                const spread = points => Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y);
+                const before = middle(touches);
+                const after = middle(current);
+                this.pan(after.x - before.x, after.y - before.y);
+                if (spread(current) > 0) {
+                    this.zoom(spread(touches) / spread(current), after.x, after.y);
+                }
+            }
+            touches = current;
+        }, { passive: false });
 
-        this.canvas.addEventListener('mouseup', () => {
-            isDragging = false;
+        ['touchend', 'touchcancel'].forEach(type => {
+            this.canvas.addEventListener(type, (e) => {
+                touches = readTouches(e);
+            });
         });
+    }
 
-        this.canvas.addEventListener('wheel', (e) => {
-            e.preventDefault();
-            const zoomSpeed = 0.1;
-            const distance = Math.sqrt(
-                this.camera.position.x ** 2 +
-                this.camera.position.y ** 2 +
-                this.camera.position.z ** 2
-            );
+    /**
+     * Point the active camera looks at and orbits around
+     * @returns {THREE.Vector3}
+     */
+    getTarget(camera = this.camera) {
+        return camera.isOrthographicCamera ? this.targets.orthographic : this.targets.perspective;
+    }
 
-            const newDistance = distance + (e.deltaY > 0 ? zoomSpeed : -zoomSpeed);
-            const scale = newDistance / distance;
+    /**
+     * Orbit the 3D camera around its target by a pointer movement in px
+     */
+    rotate(dx, dy) {
+        const rotationSpeed = 0.005;
+        const target = this.getTarget();
+        const offset = this.camera.position.clone().sub(target);
+        const radius = offset.length();
 
-            this.camera.position.multiplyScalar(scale);
-        });
+        const theta = Math.atan2(offset.x, offset.z) - dx * rotationSpeed;
+        const phi = Math.max(0.1, Math.min(Math.PI - 0.1, Math.acos(Math.max(-1, Math.min(1, offset.y / radius))) - dy * rotationSpeed));
+
+        offset.set(
+            radius * Math.sin(phi) * Math.sin(theta),
+            radius * Math.cos(phi),
+            radius * Math.sin(phi) * Math.cos(theta)
+        );
+        this.camera.position.copy(target).add(offset);
+        this.camera.lookAt(target);
+    }
+
+    /**
+     * Move the camera and its target so the scene follows a pointer movement in px
+     */
+    pan(dx, dy) {
+        const camera = this.camera;
+        const target = this.getTarget();
+        // World units per px at the depth of the target
+        let size;
+        if (camera.isOrthographicCamera) {
+            size = (camera.top - camera.bottom) / camera.zoom;
+        } else {
+            size = 2 * camera.position.distanceTo(target) * Math.tan(THREE.MathUtils.degToRad(camera.fov / 2));
+        }
+        size /= this.canvas.clientHeight || 1;
+
+        camera.updateMatrix();
+        const right = new THREE.Vector3().setFromMatrixColumn(camera.matrix, 0);
+        const up = new THREE.Vector3().setFromMatrixColumn(camera.matrix, 1);
+        const move = right.multiplyScalar(-dx * size).add(up.multiplyScalar(dy * size));
+        camera.position.add(move);
+        target.add(move);
+    }
+
+    /**
+     * Zoom by a factor (above 1 zooms out), keeping the point under the pointer in place
+     */
+    zoom(factor, clientX, clientY) {
+        const camera = this.camera;
+        const target = this.getTarget();
+        // The point under the pointer at the depth of the target
+        const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(
+            camera.getWorldDirection(new THREE.Vector3()),
+            target
+        );
+        const anchor = this.screenToPlane(clientX, clientY, plane);
+        if (!anchor) return;
+
+        if (camera.isOrthographicCamera) {
+            camera.zoom = Math.min(1e4, Math.max(1e-4, camera.zoom / factor));
+            camera.updateProjectionMatrix();
+            const moved = this.screenToPlane(clientX, clientY, plane);
+            const shift = anchor.sub(moved);
+            camera.position.add(shift);
+            target.add(shift);
+        } else {
+            // Dolly toward the anchor, so the step is proportional to the distance
+            camera.position.sub(anchor).multiplyScalar(factor).add(anchor);
+            target.sub(anchor).multiplyScalar(factor).add(anchor);
+            this.updateClipping();
+        }
+    }
+
+    /**
+     * Keep the perspective near and far planes proportional to the viewing distance,
+     * so close-ups and large domains are both drawn without clipping
+     */
+    updateClipping() {
+        const distance = this.perspectiveCamera.position.distanceTo(this.targets.perspective);
+        this.perspectiveCamera.near = distance / 100;
+        this.perspectiveCamera.far = distance * 100;
+        this.perspectiveCamera.updateProjectionMatrix();
+    }
+
+    /**
+     * Fit both cameras to an aspect ratio, the canvas's by default
+     */
+    updateProjection(aspect = this.canvas.clientWidth / this.canvas.clientHeight || 1) {
+        this.perspectiveCamera.aspect = aspect;
+        this.perspectiveCamera.updateProjectionMatrix();
+
+        const half = this.viewHeight / 2;
+        this.orthographicCamera.left = -half * aspect;
+        this.orthographicCamera.right = half * aspect;
+        this.orthographicCamera.top = half;
+        this.orthographicCamera.bottom = -half;
+        this.orthographicCamera.updateProjectionMatrix();
     }
 
     /**
      * Handle window resize
      */
     onWindowResize() {
-        this.camera.aspect = this.canvas.clientWidth / this.canvas.clientHeight;
-        this.camera.updateProjectionMatrix();
+        this.updateProjection();
         this.renderer.setSize(this.canvas.clientWidth, this.canvas.clientHeight);
     }
 
     /**
-     * Clear all vector objects from the scene
+     * Render at a fixed pixel size (for video export), the page layout is left alone
+     */
+    setRenderSize(width, height) {
+        this.renderer.setPixelRatio(1);
+        this.renderer.setSize(width, height, false);
+        this.updateProjection(width / height);
+    }
+
+    /**
+     * Go back to the canvas size after setRenderSize
+     */
+    restoreRenderSize() {
+        this.renderer.setPixelRatio(window.devicePixelRatio);
+        this.onWindowResize();
+    }
+
+    /**
+     * Remove every field object from the scene
      */
     clearVectors() {
-        this.vectorObjects.forEach(obj => {
-            if (obj.geometry) obj.geometry.dispose();
-            if (obj.material) obj.material.dispose();
+        [...this.slots.keys()].forEach(key => this.removeSlot(key));
+    }
+
+    /**
+     * Get the objects kept under a key, creating them (again) when missing or when they do not fit
+     * Objects persist between renders so animation frames only rewrite their buffers
+     * @param {string} key - Slot name, e.g. 'arrows:1'
+     * @param {function} fits - slot => boolean, false to rebuild
+     * @param {function} create - () => {objects: [THREE.Object3D], ...}
+     */
+    useSlot(key, fits, create) {
+        let slot = this.slots.get(key);
+        if (slot && !fits(slot)) {
+            this.removeSlot(key);
+            slot = null;
+        }
+
+        if (!slot) {
+            slot = create();
+            slot.objects.forEach(obj => {
+                // Instanced and in-place updated geometry has no reliable bounding sphere
+                obj.frustumCulled = false;
+                this.scene.add(obj);
+            });
+            this.slots.set(key, slot);
+        }
+
+        this.usedSlots.add(key);
+        return slot;
+    }
+
+    removeSlot(key) {
+        const slot = this.slots.get(key);
+        slot.objects.forEach(obj => {
+            // Sprites share one geometry across the whole library
+            if (!obj.isSprite) obj.geometry.dispose();
+            if (obj.material.map) obj.material.map.dispose();
+            obj.material.dispose();
             this.scene.remove(obj);
         });
-        this.vectorObjects = [];
+        if (slot.advector) this.flowObjects.delete(slot.advector);
+        this.slots.delete(key);
     }
 
     /**
-     * Render vector field
-     * @param {array} samples - Array of field samples
+     * Render a single vector field
+     * @param {object} samples - Typed-array samples from VectorField.generateGrid
      * @param {object} options - Rendering options
      */
     renderVectorField(samples, options = {}) {
+        this.renderLayers([{ ...options, samples }], { ...options, overlaySamples: samples });
+    }
+
+    /**
+     * Render several field layers into the same scene
+     * Objects from the previous render are updated in place and only rebuilt when they grow
+     * @param {array} layers - Array of {layer, samples (from generateGrid), renderMode, colorMode, color, maxMag, streamlines, advector}
+     * @param {object} options - Scene options: {dimension, scale, overlay, scalarGrid, bounds, overlaySamples,
+     *   equipotentials, criticalPoints, separatrices, path, probes, slices, trajectories, volumeOpacity, boundingBox,
+     *   colorbars};
+     *   colorbars are only kept for exports
+     */
+    renderLayers(layers, options = {}) {
         const {
             dimension = 2,
-            renderMode = 'arrows',
-            colorMode = 'magnitude',
             scale = 0.3,
-            maxMag = 1
+            overlay = 'none',
+            scalarGrid = null,
+            bounds = null,
+            overlaySamples = null,
+            equipotentials = [],
+            criticalPoints = null,
+            separatrices = [],
+            path = null,
+            probes = [],
+            slices = [],
+            trajectories = [],
+            volumeOpacity = 1,
+            boundingBox = true
         } = options;
 
         this.dimension = dimension;
-        this.renderMode = renderMode;
-        this.colorMode = colorMode;
 
-        // Clear previous vectors
-        this.clearVectors();
+        // Kept for vector (SVG) export of the same scene
+        this.lastRender = { layers, options };
+        this.usedSlots = new Set();
 
-        // Update grid for dimension
-        this.addAxesAndGrid();
+        // Grid, axes and ticks follow the domain
+        const axesKey = JSON.stringify([dimension, bounds, boundingBox]);
+        if (this.axesKey !== axesKey) {
+            this.addAxesAndGrid(bounds || DEFAULT_BOUNDS, boundingBox);
+            this.axesKey = axesKey;
+        }
 
-        // Adjust camera for 2D/3D
-        if (dimension === 2 && this.camera.position.z < 10) {
-            this.camera.position.set(0, 0, 15);
+        // Each dimension keeps its own camera pose; a new domain is framed unless the pose was just restored
+        this.camera = dimension === 2 ? this.orthographicCamera : this.perspectiveCamera;
+        if (bounds) {
+            const axes = dimension === 3 ? ['x', 'y', 'z'] : ['x', 'y'];
+            const framedKey = axes.map(axis => `${bounds[`${axis}Min`]},${bounds[`${axis}Max`]}`).join(';');
+            if (this.framedBounds[dimension] !== framedKey) {
+                if (this.framedBounds[dimension] !== null) this.resetView(bounds, dimension);
+                this.framedBounds[dimension] = framedKey;
+            }
         }
 
+        // Derivative overlays: heatmap under the field in 2D, extra layer in 3D
+        if (overlay !== 'none') {
+            if (dimension === 2 && scalarGrid && bounds) {
+                this.renderHeatmap(scalarGrid, bounds);
+            } else if (dimension === 3 && overlaySamples && overlay === 'curl') {
+                this.renderCurlVectors(overlaySamples, scale);
+            } else if (dimension === 3 && overlaySamples && overlay === 'divergence') {
+                this.renderDivergencePoints(overlaySamples);
+            }
+        }
+
+        // Singular point markers scale with the domain
+        const markerSize = bounds
+            ? Math.max(bounds.xMax - bounds.xMin, bounds.yMax - bounds.yMin) * 0.012
+            : 0.1;
+        layers.forEach((layer, index) => {
+            const key = layer.layer ? layer.layer.id : index;
+            this.renderLayer(layer, scale, key, markerSize);
+            this.setLayerOpacity(key, volumeOpacity);
+        });
+
+        slices.forEach(slice => this.renderSlice(slice, markerSize));
+
+        if (equipotentials.length > 0) {
+            this.renderEquipotentials(equipotentials);
+        }
+
+        if (criticalPoints && bounds) {
+            this.renderCriticalPoints(criticalPoints, separatrices, bounds);
+        }
+
+        if (path && bounds) {
+            this.renderPath(path, bounds);
+        }
+
+        if (trajectories.length > 0 && bounds) {
+            this.renderTrajectories(trajectories, bounds);
+        }
+
+        if (probes.length > 0 && bounds) {
+            this.renderProbes(probes, bounds);
+        }
+
+        // Drop objects of layers, modes and overlays that are gone
+        [...this.slots.keys()].forEach(key => {
+            if (!this.usedSlots.has(key)) this.removeSlot(key);
+        });
+
+        this.renderer.render(this.scene, this.camera);
+    }
+
+    /**
+     * Render one layer with its own render mode and colors
+     * maxMag is the magnitude drawn at full length and full color (the clipping threshold)
+     * @param {string|number} key - Identifies the layer's objects between renders
+     * @param {number} markerSize - Half-size of the singular point markers
+     */
+    renderLayer(layer, scale, key = 0, markerSize = 0.1) {
+        const {
+            samples = { count: 0 },
+            renderMode = 'arrows',
+            colorMode = 'magnitude',
+            color = 0x667eea,
+            maxMag = 1,
+            streamlines = [],
+            advector = null,
+            isosurface = null
+        } = layer;
+
+        this.renderMode = renderMode;
+        this.colorMode = colorMode;
+        // Parsed once here rather than for every arrow
+        this.solidColor = new THREE.Color(color);
+
         // Render based on mode
         switch (renderMode) {
             case 'arrows':
-                this.renderArrows(samples, scale, maxMag);
+                this.renderArrows(samples, scale, maxMag, `arrows:${key}`);
                 break;
             case 'lines':
-                this.renderFieldLines(samples, scale, maxMag);
+                this.renderFieldLines(streamlines, scale, maxMag, `lines:${key}`);
                 break;
             case 'particles':
-                this.renderParticles(samples, maxMag);
+                this.renderParticles(samples, maxMag, `particles:${key}`);
+                break;
+            case 'flow':
+                if (advector) this.renderParticleFlow(advector, maxMag, `flow:${key}`);
+                break;
+            case 'isosurface':
+                // Isosurfaces need a volume, 2D views fall back to arrows
+                if (isosurface) {
+                    this.renderIsosurface(isosurface, `isosurface:${key}`);
+                } else {
+                    this.renderArrows(samples, scale, maxMag, `arrows:${key}`);
+                }
                 break;
         }
 
-        this.renderer.render(this.scene, this.camera);
+        // Grid samples where the field is undefined, for the modes that draw the grid
+        if ((renderMode === 'arrows' || renderMode === 'particles') && samples.singularCount > 0) {
+            this.renderSingularPoints(samples, markerSize, `singular:${key}`);
+        }
     }
 
     /**
-     * Render arrows
+     * Fade (or restore) the objects of a layer, e.g. to dim the volume behind slice planes
      */
-    renderArrows(samples, scale, maxMag) {
-        samples.forEach(sample => {
-            const { pos, vec, mag } = sample;
-            
-            // Skip very small vectors
-            if (mag < 0.001) return;
-
-            // Create arrow
-            const direction = new THREE.Vector3(vec.x, vec.y, vec.z).normalize();
-            const length = mag * scale * 2;
-            const color = this.getColor(mag, maxMag, direction);
-
-            const arrowHelper = new THREE.ArrowHelper(
-                direction,
-                new THREE.Vector3(pos.x, pos.y, pos.z),
-                length,
+    setLayerOpacity(key, opacity) {
+        ['arrows', 'lines', 'particles', 'flow', 'singular'].forEach(mode => {
+            const slot = this.slots.get(`${mode}:${key}`);
+            if (!slot) return;
+            slot.objects.forEach(obj => {
+                obj.material.transparent = opacity < 1;
+                obj.material.opacity = opacity;
+                obj.material.depthWrite = opacity === 1;
+            });
+        });
+    }
+
+    /**
+     * Render a slice plane: its outline on the domain box and the in-plane field
+     * @param {object} slice - {slice (SlicePlane), outline, samples, streamlines, colorMode, color, maxMag, scale}
+     */
+    renderSlice(slice, markerSize) {
+        const { slice: plane, outline, samples, streamlines, colorMode, color, maxMag, scale } = slice;
+        const key = `slice${plane.id}`;
+
+        const positions = [];
+        const colors = [];
+        const outlineColor = new THREE.Color(0x2c3e50);
+        outline.forEach((p, n) => {
+            positions.push(...p, ...outline[(n + 1) % outline.length]);
+            colors.push(outlineColor.r, outlineColor.g, outlineColor.b, outlineColor.r, outlineColor.g, outlineColor.b);
+        });
+        this.drawVertices(`${key}:outline`, THREE.LineSegments, positions, colors, () => {
+            return new THREE.LineBasicMaterial({ vertexColors: true });
+        });
+
+        if (plane.mode === 'heatmap') {
+            this.renderSliceHeatmap(samples, maxMag, `${key}:heatmap`);
+        } else {
+            this.renderLayer({
+                samples,
+                renderMode: plane.mode,
+                colorMode,
                 color,
-                length * 0.2,
-                length * 0.1
+                maxMag,
+                streamlines
+            }, scale, key, markerSize);
+        }
+    }
+
+    /**
+     * Color a slice by the full field magnitude |F|, cells outside the domain box are left out
+     * @param {object} samples - Samples from SlicePlane.sample
+     */
+    renderSliceHeatmap(samples, maxMag, key) {
+        const { count, positions, fieldMagnitudes, gridIndex, nu, nv } = samples;
+        const indices = [];
+        for (let j = 0; j < nv - 1; j++) {
+            for (let i = 0; i < nu - 1; i++) {
+                const a = gridIndex[j * nu + i];
+                const b = gridIndex[j * nu + i + 1];
+                const c = gridIndex[(j + 1) * nu + i];
+                const d = gridIndex[(j + 1) * nu + i + 1];
+                if (a < 0 || b < 0 || c < 0 || d < 0) continue;
+                indices.push(a, b, d, a, d, c);
+            }
+        }
+
+        // The cells inside the box change with the offset, so the index is rebuilt every time
+        const heatmap = this.useSlot(key, slot => slot.capacity >= count, () => {
+            const capacity = Math.max(count, 1);
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(capacity * 3), 3));
+            geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(capacity * 3), 3));
+            const mesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+                vertexColors: true,
+                side: THREE.DoubleSide
+            }));
+            return { objects: [mesh], mesh, capacity };
+        });
+
+        const { geometry } = heatmap.mesh;
+        const colors = geometry.attributes.color.array;
+        geometry.attributes.position.array.set(positions.subarray(0, count * 3));
+        for (let n = 0; n < count; n++) {
+            const color = Number.isFinite(fieldMagnitudes[n])
+                ? this.colormap.at(fieldMagnitudes[n] / maxMag)
+                : new THREE.Color(SINGULAR_COLOR);
+            color.toArray(colors, n * 3);
+        }
+        geometry.setIndex(indices);
+        geometry.attributes.position.needsUpdate = true;
+        geometry.attributes.color.needsUpdate = true;
+    }
+
+    /**
+     * Render an isosurface as a lit, semi-transparent mesh, the only mode that uses the scene lights
+     * @param {object} isosurface - {positions, normals} from MarchingCubes.extract, plus its color
+     *   and optionally its opacity
+     */
+    renderIsosurface(isosurface, key) {
+        const { positions, normals, color, opacity = 0.6 } = isosurface;
+        const vertices = positions.length / 3;
+
+        const surface = this.useSlot(key, slot => slot.capacity >= vertices, () => {
+            const capacity = Math.max(vertices, 3);
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(capacity * 3), 3));
+            geometry.setAttribute('normal', new THREE.BufferAttribute(new Float32Array(capacity * 3), 3));
+            const mesh = new THREE.Mesh(geometry, new THREE.MeshPhongMaterial({
+                transparent: true,
+                opacity: 0.6,
+                side: THREE.DoubleSide,
+                // Both sides of a closed surface stay visible through each other
+                depthWrite: false,
+                shininess: 40
+            }));
+            return { objects: [mesh], mesh, capacity };
+        });
+
+        const { geometry, material } = surface.mesh;
+        geometry.attributes.position.array.set(positions);
+        geometry.attributes.normal.array.set(normals);
+        geometry.attributes.position.needsUpdate = true;
+        geometry.attributes.normal.needsUpdate = true;
+        geometry.setDrawRange(0, vertices);
+        material.color.set(color);
+        material.opacity = opacity;
+    }
+
+    /**
+     * Render equipotentials: contour lines just above the plane in 2D, nested level surfaces in 3D
+     * @param {array} levels - Array of {value, color} with segments (x,y pairs from MarchingSquares.extract)
+     *   in 2D or positions and normals (from MarchingCubes.extract) in 3D
+     */
+    renderEquipotentials(levels) {
+        const positions = [];
+        const colors = [];
+
+        levels.forEach((level, n) => {
+            if (level.segments) {
+                const color = new THREE.Color(level.color);
+                for (let k = 0; k < level.segments.length; k += 2) {
+                    positions.push(level.segments[k], level.segments[k + 1], 0.015);
+                    colors.push(color.r, color.g, color.b);
+                }
+            } else {
+                // Fainter than a single isosurface so the inner levels show through
+                this.renderIsosurface({ ...level, opacity: 0.3 }, `equipotential:${n}`);
+            }
+        });
+
+        if (positions.length > 0) {
+            this.drawVertices('equipotentials', THREE.LineSegments, positions, colors, () => {
+                return new THREE.LineBasicMaterial({ vertexColors: true });
+            });
+        }
+    }
+
+    /**
+     * Render arrows
+     * Lengths come from the display lengths of VectorField.normalizeVectors when present
+     * (full length at maxMag), otherwise they are linear in magnitude
+     */
+    renderArrows(samples, scale, maxMag, key = 'arrows') {
+        const { count, positions, vectors, magnitudes, normalizedMagnitudes } = samples;
+
+        this.drawArrows(key, count, (n, origin, direction, color) => {
+            const mag = magnitudes[n];
+
+            // Skip very small vectors and singular samples (NaN)
+            if (!(mag >= 0.001)) return 0;
+
+            origin.fromArray(positions, n * 3);
+            direction.fromArray(vectors, n * 3).normalize();
+            color.set(this.getColor(mag, maxMag, direction));
+            const length = normalizedMagnitudes ? normalizedMagnitudes[n] * maxMag : mag;
+            return length * scale * 2;
+        });
+    }
+
+    /**
+     * Mark singular samples (NaN or infinite field) with crosses: an X in 2D, three axis lines in 3D
+     */
+    renderSingularPoints(samples, size, key = 'singular') {
+        const { count, positions, magnitudes } = samples;
+        const offsets = this.dimension === 3
+            ? [[1, 0, 0], [0, 1, 0], [0, 0, 1]]
+            : [[0.7071, 0.7071, 0], [0.7071, -0.7071, 0]];
+        const color = new THREE.Color(SINGULAR_COLOR);
+        const markerPositions = [];
+        const colors = [];
+
+        for (let n = 0; n < count; n++) {
+            if (Number.isFinite(magnitudes[n])) continue;
+
+            const [x, y, z] = [positions[n * 3], positions[n * 3 + 1], positions[n * 3 + 2]];
+            offsets.forEach(([dx, dy, dz]) => {
+                markerPositions.push(x - dx * size, y - dy * size, z - dz * size + (this.dimension === 2 ? 0.03 : 0));
+                markerPositions.push(x + dx * size, y + dy * size, z + dz * size + (this.dimension === 2 ? 0.03 : 0));
+                colors.push(color.r, color.g, color.b, color.r, color.g, color.b);
+            });
+        }
+
+        this.drawVertices(key, THREE.LineSegments, markerPositions, colors, () => {
+            return new THREE.LineBasicMaterial({ vertexColors: true });
+        });
+    }
+
+    /**
+     * Draw arrows shaped like THREE.ArrowHelper: shafts in one line geometry, heads as one instanced cone mesh
+     * @param {string} key - Slot for the arrow objects
+     * @param {number} count - Number of candidate arrows
+     * @param {function} getArrow - (n, origin, direction, color) => length; fills the vectors
+     *   and color for arrow n and returns its length, 0 to skip it
+     */
+    drawArrows(key, count, getArrow) {
+        const arrows = this.useSlot(key, slot => slot.capacity >= count, () => {
+            const capacity = Math.max(count, 1);
+
+            const shaftGeometry = new THREE.BufferGeometry();
+            shaftGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(capacity * 6), 3));
+            shaftGeometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(capacity * 6), 3));
+            const shafts = new THREE.LineSegments(
+                shaftGeometry,
+                new THREE.LineBasicMaterial({ vertexColors: true, toneMapped: false })
             );
 
-            this.scene.add(arrowHelper);
-            this.vectorObjects.push(arrowHelper);
+            // Same cone as ArrowHelper: tip at the origin, pointing along +y
+            const coneGeometry = new THREE.ConeGeometry(0.5, 1, 5, 1);
+            coneGeometry.translate(0, -0.5, 0);
+            const heads = new THREE.InstancedMesh(
+                coneGeometry,
+                new THREE.MeshBasicMaterial({ toneMapped: false }),
+                capacity
+            );
+            heads.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3);
+
+            return { objects: [shafts, heads], shafts, heads, capacity };
+        });
+
+        const { shafts, heads } = arrows;
+        const shaftPositions = shafts.geometry.attributes.position.array;
+        const shaftColors = shafts.geometry.attributes.color.array;
+        const origin = new THREE.Vector3();
+        const direction = new THREE.Vector3();
+        const color = new THREE.Color();
+        const up = new THREE.Vector3(0, 1, 0);
+        const tip = new THREE.Vector3();
+        const quaternion = new THREE.Quaternion();
+        const headScale = new THREE.Vector3();
+        const matrix = new THREE.Matrix4();
+        let drawn = 0;
+
+        for (let n = 0; n < count; n++) {
+            const length = getArrow(n, origin, direction, color);
+            if (!(length > 0)) continue;
+
+            const headLength = length * 0.2;
+            const headWidth = length * 0.1;
+
+            // Shaft ends where the head starts
+            const i = drawn * 6;
+            origin.toArray(shaftPositions, i);
+            tip.copy(direction).multiplyScalar(length - headLength).add(origin).toArray(shaftPositions, i + 3);
+            color.toArray(shaftColors, i);
+            color.toArray(shaftColors, i + 3);
+
+            tip.copy(direction).multiplyScalar(length).add(origin);
+            quaternion.setFromUnitVectors(up, direction);
+            headScale.set(headWidth, headLength, headWidth);
+            heads.setMatrixAt(drawn, matrix.compose(tip, quaternion, headScale));
+            heads.setColorAt(drawn, color);
+            drawn++;
+        }
+
+        shafts.geometry.setDrawRange(0, drawn * 2);
+        shafts.geometry.attributes.position.needsUpdate = true;
+        shafts.geometry.attributes.color.needsUpdate = true;
+        heads.count = drawn;
+        heads.instanceMatrix.needsUpdate = true;
+        heads.instanceColor.needsUpdate = true;
+    }
+
+    /**
+     * Copy positions and colors into a persistent Points or LineSegments object
+     * @param {string} key - Slot for the object
+     * @param {function} Type - THREE.Points or THREE.LineSegments
+     * @param {ArrayLike} positions - x,y,z per vertex
+     * @param {ArrayLike} colors - r,g,b per vertex
+     * @param {function} createMaterial - () => material for a new object
+     */
+    drawVertices(key, Type, positions, colors, createMaterial) {
+        const vertices = positions.length / 3;
+        const slot = this.useSlot(key, s => s.capacity >= vertices && s.object instanceof Type, () => {
+            const capacity = Math.max(vertices, 1);
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(capacity * 3), 3));
+            geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(capacity * 3), 3));
+            const object = new Type(geometry, createMaterial());
+            return { objects: [object], object, capacity };
         });
+
+        const { geometry } = slot.object;
+        geometry.attributes.position.array.set(positions);
+        geometry.attributes.color.array.set(colors);
+        geometry.attributes.position.needsUpdate = true;
+        geometry.attributes.color.needsUpdate = true;
+        geometry.setDrawRange(0, vertices);
     }
 
     /**
-     * Render field lines
+     * Render field lines as colored polylines with a direction chevron on each
+     * @param {array} streamlines - Array of {points: [{x,y,z}], mags: [number]}
      */
-    renderFieldLines(samples, scale, maxMag) {
-        samples.forEach(sample => {
-            const { pos, vec, mag } = sample;
-            
-            if (mag < 0.001) return;
+    renderFieldLines(streamlines, scale, maxMag, key = 'lines') {
+        const positions = [];
+        const colors = [];
+
+        const addSegment = (a, b, color) => {
+            positions.push(a.x, a.y, a.z, b.x, b.y, b.z);
+            colors.push(color.r, color.g, color.b, color.r, color.g, color.b);
+        };
 
-            // Create a line along the vector
-            const direction = new THREE.Vector3(vec.x, vec.y, vec.z).normalize();
-            const length = mag * scale * 2;
+        streamlines.forEach(line => {
+            const { points, mags } = line;
 
-            const start = new THREE.Vector3(pos.x, pos.y, pos.z);
-            const end = start.clone().add(direction.multiplyScalar(length));
+            for (let n = 0; n < points.length - 1; n++) {
+                const a = new THREE.Vector3(points[n].x, points[n].y, points[n].z);
+                const b = new THREE.Vector3(points[n + 1].x, points[n + 1].y, points[n + 1].z);
+                const direction = b.clone().sub(a).normalize();
+                const color = new THREE.Color(this.getColor(mags[n], maxMag, direction));
+                addSegment(a, b, color);
+            }
 
-            const geometry = new THREE.BufferGeometry().setFromPoints([start, end]);
-            const color = this.getColor(mag, maxMag, direction);
-            const material = new THREE.LineBasicMaterial({ color, linewidth: 2 });
-            const line = new THREE.Line(geometry, material);
+            // Chevron at the middle of the line showing the flow direction
+            const mid = Math.floor(points.length / 2);
+            const tip = new THREE.Vector3(points[mid].x, points[mid].y, points[mid].z);
+            const prev = new THREE.Vector3(points[mid - 1].x, points[mid - 1].y, points[mid - 1].z);
+            const direction = tip.clone().sub(prev).normalize();
+            if (direction.lengthSq() === 0) return;
+
+            const reference = Math.abs(direction.z) < 0.9 ? new THREE.Vector3(0, 0, 1) : new THREE.Vector3(1, 0, 0);
+            const side = new THREE.Vector3().crossVectors(direction, reference).normalize();
+            const headLength = scale * 0.8;
+            const back = tip.clone().sub(direction.clone().multiplyScalar(headLength));
+            const color = new THREE.Color(this.getColor(mags[mid], maxMag, direction));
+
+            addSegment(tip, back.clone().add(side.clone().multiplyScalar(headLength * 0.5)), color);
+            addSegment(tip, back.clone().sub(side.clone().multiplyScalar(headLength * 0.5)), color);
+        });
 
-            this.scene.add(line);
-            this.vectorObjects.push(line);
+        this.drawVertices(key, THREE.LineSegments, positions, colors, () => {
+            return new THREE.LineBasicMaterial({ vertexColors: true });
         });
     }
 
     /**
      * Render particles
      */
-    renderParticles(samples, maxMag) {
-        const geometry = new THREE.BufferGeometry();
+    renderParticles(samples, maxMag, key = 'particles') {
+        const { count, positions, vectors, magnitudes } = samples;
+        const colors = new Float32Array(count * 3);
+        const direction = new THREE.Vector3();
+
+        for (let n = 0; n < count; n++) {
+            direction.fromArray(vectors, n * 3).normalize();
+            // Singular samples stay gray under their markers
+            const color = Number.isFinite(magnitudes[n])
+                ? new THREE.Color(this.getColor(magnitudes[n], maxMag, direction))
+                : new THREE.Color(0xcccccc);
+            color.toArray(colors, n * 3);
+        }
+
+        this.drawVertices(key, THREE.Points, positions, colors, () => {
+            return new THREE.PointsMaterial({ size: 0.15, vertexColors: true });
+        });
+    }
+
+    /**
+     * Create persistent trail and head geometry for particle advection
+     * @param {ParticleAdvector} advector - Particle state, updated each frame via updateParticleFlow
+     */
+    renderParticleFlow(advector, maxMag, key = 'flow') {
+        const flow = this.useSlot(key, slot => slot.advector === advector && slot.count === advector.count, () => {
+            const segments = advector.count * (advector.trailLength - 1);
+
+            const trailGeometry = new THREE.BufferGeometry();
+            trailGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(segments * 6), 3));
+            trailGeometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(segments * 6), 3));
+            const trails = new THREE.LineSegments(
+                trailGeometry,
+                new THREE.LineBasicMaterial({ vertexColors: true })
+            );
+
+            const headGeometry = new THREE.BufferGeometry();
+            headGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(advector.count * 3), 3));
+            headGeometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(advector.count * 3), 3));
+            const heads = new THREE.Points(
+                headGeometry,
+                new THREE.PointsMaterial({ size: 0.08, vertexColors: true })
+            );
+
+            return { objects: [trails, heads], trails, heads, advector, count: advector.count };
+        });
+
+        // The layer style may change without rebuilding the geometry
+        flow.colorMode = this.colorMode;
+        flow.solidColor = this.solidColor;
+        this.flowObjects.set(advector, flow);
+
+        this.updateParticleFlow(advector, maxMag);
+    }
+
+    /**
+     * Copy the current particle state into the flow geometry
+     * Trails fade from the particle color into the background
+     */
+    updateParticleFlow(advector, maxMag) {
+        const flow = this.flowObjects.get(advector);
+        if (!flow) return;
+
+        const { trails, heads } = flow;
+        const trailPositions = trails.geometry.attributes.position.array;
+        const trailColors = trails.geometry.attributes.color.array;
+        const headPositions = heads.geometry.attributes.position.array;
+        const headColors = heads.geometry.attributes.color.array;
+
+        // Geometry is sized for a particle count, rebuilt by renderParticleFlow when it changes
+        if (headPositions.length !== advector.count * 3) return;
+
+        const background = this.scene.background;
+        const direction = new THREE.Vector3();
+        this.colorMode = flow.colorMode;
+        this.solidColor = flow.solidColor;
+        const faded = new THREE.Color();
+        const L = advector.trailLength;
+
+        for (let n = 0; n < advector.count; n++) {
+            const i = n * 3;
+            direction.set(advector.velocities[i], advector.velocities[i + 1], advector.velocities[i + 2]).normalize();
+            const color = new THREE.Color(this.getColor(advector.speeds[n], maxMag, direction));
+
+            headPositions.set(advector.positions.subarray(i, i + 3), i);
+            headColors[i] = color.r;
+            headColors[i + 1] = color.g;
+            headColors[i + 2] = color.b;
+
+            const trailStart = n * L * 3;
+            for (let k = 0; k < L - 1; k++) {
+                const out = (n * (L - 1) + k) * 6;
+                trailPositions.set(advector.trails.subarray(trailStart + k * 3, trailStart + k * 3 + 6), out);
+
+                faded.copy(color).lerp(background, k / (L - 1));
+                trailColors[out] = faded.r;
+                trailColors[out + 1] = faded.g;
+                trailColors[out + 2] = faded.b;
+                faded.copy(color).lerp(background, (k + 1) / (L - 1));
+                trailColors[out + 3] = faded.r;
+                trailColors[out + 4] = faded.g;
+                trailColors[out + 5] = faded.b;
+            }
+        }
+
+        trails.geometry.attributes.position.needsUpdate = true;
+        trails.geometry.attributes.color.needsUpdate = true;
+        heads.geometry.attributes.position.needsUpdate = true;
+        heads.geometry.attributes.color.needsUpdate = true;
+    }
+
+    /**
+     * Render a scalar grid as a colored heatmap just behind the XY plane
+     * @param {object} scalarGrid - {nx, ny, values, min, max} from generateScalarGrid
+     * @param {object} bounds - {xMin, xMax, yMin, yMax}
+     */
+    renderHeatmap(scalarGrid, bounds) {
+        const { nx, ny, values, min, max } = scalarGrid;
+        const { xMin, xMax, yMin, yMax } = bounds;
+        const absMax = Math.max(Math.abs(min), Math.abs(max));
+
+        const heatmap = this.useSlot('heatmap', slot => slot.nx === nx && slot.ny === ny, () => {
+            const indices = [];
+            for (let j = 0; j < ny - 1; j++) {
+                for (let i = 0; i < nx - 1; i++) {
+                    const a = j * nx + i;
+                    const b = a + 1;
+                    const c = a + nx;
+                    const d = c + 1;
+                    indices.push(a, b, d, a, d, c);
+                }
+            }
+
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(nx * ny * 3), 3));
+            geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(nx * ny * 3), 3));
+            geometry.setIndex(indices);
+
+            const material = new THREE.MeshBasicMaterial({
+                vertexColors: true,
+                side: THREE.DoubleSide
+            });
+
+            const mesh = new THREE.Mesh(geometry, material);
+            return { objects: [mesh], mesh, nx, ny };
+        });
+
+        const { geometry } = heatmap.mesh;
+        const positions = geometry.attributes.position.array;
+        const colors = geometry.attributes.color.array;
+
+        for (let j = 0; j < ny; j++) {
+            for (let i = 0; i < nx; i++) {
+                const v = j * nx + i;
+                positions[v * 3] = xMin + i * (xMax - xMin) / (nx - 1);
+                positions[v * 3 + 1] = yMin + j * (yMax - yMin) / (ny - 1);
+                positions[v * 3 + 2] = -0.01;
+                this.getScalarColor(values[v], absMax).toArray(colors, v * 3);
+            }
+        }
+
+        geometry.attributes.position.needsUpdate = true;
+        geometry.attributes.color.needsUpdate = true;
+    }
+
+    /**
+     * Render curl vectors of samples with derivatives as a separate arrow layer
+     */
+    renderCurlVectors(samples, scale) {
+        const { count, positions, curl } = samples;
+        const curlMagnitude = n => Math.hypot(curl[n * 3], curl[n * 3 + 1], curl[n * 3 + 2]);
+
+        let maxCurl = 0;
+        for (let n = 0; n < count; n++) {
+            const mag = curlMagnitude(n);
+            if (Number.isFinite(mag)) maxCurl = Math.max(maxCurl, mag);
+        }
+
+        this.drawArrows('curl', count, (n, origin, direction, color) => {
+            const mag = curlMagnitude(n);
+            if (maxCurl === 0 || !Number.isFinite(mag) || mag < 0.001) return 0;
+
+            origin.fromArray(positions, n * 3);
+            direction.fromArray(curl, n * 3).normalize();
+            color.set(0xe67e22);
+
+            // Curl arrows are normalized to the largest curl so they stay readable next to the field
+            return (mag / maxCurl) * scale * 2;
+        });
+    }
+
+    /**
+     * Render divergence of samples with derivatives as colored points
+     */
+    renderDivergencePoints(samples) {
+        const { count, positions, divergence } = samples;
+        const colors = new Float32Array(count * 3);
+
+        let absMax = 0;
+        for (let n = 0; n < count; n++) {
+            if (Number.isFinite(divergence[n])) absMax = Math.max(absMax, Math.abs(divergence[n]));
+        }
+
+        for (let n = 0; n < count; n++) {
+            this.getScalarColor(divergence[n], absMax).toArray(colors, n * 3);
+        }
+
+        this.drawVertices('divergence', THREE.Points, positions, colors, () => {
+            return new THREE.PointsMaterial({ size: 0.3, vertexColors: true });
+        });
+    }
+
+    /**
+     * Render critical points as colored markers with a type label, and saddle separatrices as lines
+     * @param {array} points - From VectorField.findCriticalPoints
+     * @param {array} separatrices - From StreamlineTracer.traceSeparatrices
+     */
+    renderCriticalPoints(points, separatrices, bounds) {
+        const extent = Math.max(bounds.xMax - bounds.xMin, bounds.yMax - bounds.yMin);
+        const radius = extent * 0.012;
+
+        points.forEach((point, n) => {
+            const { color } = CRITICAL_POINT_STYLES[point.type];
+            const slot = this.useMarkerSlot(`criticalPoint:${n}`, this.getCriticalPointLabel(point), color, () => {
+                return new THREE.Mesh(new THREE.CircleGeometry(1, 24), new THREE.MeshBasicMaterial({ color }));
+            });
+            this.placeMarker(slot, radius, extent * 0.03, point.x, point.y, 0.02,
+                point.x + radius * 1.5, point.y + radius * 1.5, 0.03);
+        });
+
+        const positions = [];
+        const colors = [];
+        separatrices.forEach(line => {
+            const color = new THREE.Color(line.stable ? CRITICAL_POINT_STYLES.sink.color : CRITICAL_POINT_STYLES.source.color);
+            for (let n = 0; n < line.points.length - 1; n++) {
+                const a = line.points[n];
+                const b = line.points[n + 1];
+                positions.push(a.x, a.y, 0.01, b.x, b.y, 0.01);
+                colors.push(color.r, color.g, color.b, color.r, color.g, color.b);
+            }
+        });
+
+        if (positions.length > 0) {
+            this.drawVertices('separatrices', THREE.LineSegments, positions, colors, () => {
+                return new THREE.LineBasicMaterial({ vertexColors: true });
+            });
+        }
+    }
+
+    /**
+     * Render an integration path with its control points, and glyphs for the
+     * tangential (green) and normal (orange) parts of the field along it
+     * @param {object} path - {points: [{x, y}], closed, controlPoints: [{x, y}], glyphs (from PathIntegrator.getGlyphs)}
+     */
+    renderPath(path, bounds) {
+        const { points, closed = false, controlPoints = [], glyphs = [] } = path;
+        const extent = Math.max(bounds.xMax - bounds.xMin, bounds.yMax - bounds.yMin);
+        const color = new THREE.Color(0x2c3e50);
+
+        const line = closed && points.length > 2 ? [...points, points[0]] : points;
         const positions = [];
         const colors = [];
+        for (let n = 0; n < line.length - 1; n++) {
+            positions.push(line[n].x, line[n].y, 0.04, line[n + 1].x, line[n + 1].y, 0.04);
+            colors.push(color.r, color.g, color.b, color.r, color.g, color.b);
+        }
+        if (positions.length > 0) {
+            this.drawVertices('path', THREE.LineSegments, positions, colors, () => {
+                return new THREE.LineBasicMaterial({ vertexColors: true });
+            });
+        }
 
-        samples.forEach(sample => {
-            const { pos, vec, mag } = sample;
-            
-            positions.push(pos.x, pos.y, pos.z);
+        if (controlPoints.length > 0) {
+            const pointPositions = controlPoints.flatMap(p => [p.x, p.y, 0.05]);
+            const pointColors = controlPoints.flatMap(() => [color.r, color.g, color.b]);
+            this.drawVertices('pathPoints', THREE.Points, pointPositions, pointColors, () => {
+                return new THREE.PointsMaterial({ size: 0.2, vertexColors: true });
+            });
+        }
+
+        // Glyphs are normalized to the largest component so they stay readable for any field strength
+        const maxComponent = glyphs.reduce((max, g) => {
+            return Math.max(max, Math.abs(g.tangential), Math.abs(g.normalComponent));
+        }, 0);
+        if (maxComponent === 0 || !Number.isFinite(maxComponent)) return;
+
+        const drawComponent = (key, axis, component, hex) => {
+            this.drawArrows(key, glyphs.length, (n, origin, direction, glyphColor) => {
+                const value = glyphs[n][component];
+                if (!Number.isFinite(value) || value === 0) return 0;
+
+                origin.set(glyphs[n].x, glyphs[n].y, 0.06);
+                direction.set(glyphs[n][axis][0], glyphs[n][axis][1], 0).multiplyScalar(Math.sign(value));
+                glyphColor.set(hex);
+                return (Math.abs(value) / maxComponent) * extent * 0.08;
+            });
+        };
+        drawComponent('pathTangential', 'tangent', 'tangential', 0x27ae60);
+        drawComponent('pathNormal', 'normal', 'normalComponent', 0xe67e22);
+    }
+
+    /**
+     * Render seeded trajectories as lines with direction arrows and a dot at each seed
+     * @param {array} trajectories - Array of {id, x, y, points: [{x, y, t}], arrows: [{x, y, direction}]}
+     */
+    renderTrajectories(trajectories, bounds) {
+        const extent = Math.max(bounds.xMax - bounds.xMin, bounds.yMax - bounds.yMin);
+        const positions = [];
+        const colors = [];
+        const seedPositions = [];
+        const seedColors = [];
+        const arrows = [];
 
-            const direction = new THREE.Vector3(vec.x, vec.y, vec.z).normalize();
-            const color = new THREE.Color(this.getColor(mag, maxMag, direction));
-            colors.push(color.r, color.g, color.b);
+        trajectories.forEach(trajectory => {
+            const color = new THREE.Color(TRAJECTORY_COLORS[(trajectory.id - 1) % TRAJECTORY_COLORS.length]);
+            const { points } = trajectory;
+            for (let n = 0; n < points.length - 1; n++) {
+                positions.push(points[n].x, points[n].y, 0.045, points[n + 1].x, points[n + 1].y, 0.045);
+                colors.push(color.r, color.g, color.b, color.r, color.g, color.b);
+            }
+            seedPositions.push(trajectory.x, trajectory.y, 0.055);
+            seedColors.push(color.r, color.g, color.b);
+            trajectory.arrows.forEach(arrow => arrows.push({ ...arrow, color }));
         });
 
-        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-        geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+        if (positions.length > 0) {
+            this.drawVertices('trajectories', THREE.LineSegments, positions, colors, () => {
+                return new THREE.LineBasicMaterial({ vertexColors: true });
+            });
+        }
+        this.drawVertices('trajectorySeeds', THREE.Points, seedPositions, seedColors, () => {
+            return new THREE.PointsMaterial({ size: 0.2, vertexColors: true });
+        });
+        // Arrows are centered on their points along the line
+        const length = extent * 0.03;
+        this.drawArrows('trajectoryArrows', arrows.length, (n, origin, direction, arrowColor) => {
+            direction.set(arrows[n].direction[0], arrows[n].direction[1], 0);
+            origin.set(arrows[n].x, arrows[n].y, 0.05).addScaledVector(direction, -length / 2);
+            arrowColor.copy(arrows[n].color);
+            return length;
+        });
+    }
+
+    /**
+     * Render pinned probes as labeled markers
+     * @param {array} probes - Array of {id, x, y, z}
+     */
+    renderProbes(probes, bounds) {
+        const extent = Math.max(bounds.xMax - bounds.xMin, bounds.yMax - bounds.yMin);
+        const color = '#34495e';
 
-        const material = new THREE.PointsMaterial({
-            size: 0.15,
-            vertexColors: true
+        probes.forEach(probe => {
+            // Lifted above the other 2D overlays
+            const z = this.dimension === 2 ? 0.07 : probe.z;
+            const slot = this.useMarkerSlot(`probe:${probe.id}`, `P${probe.id}`, color, () => {
+                return new THREE.Mesh(new THREE.SphereGeometry(1, 12, 8), new THREE.MeshBasicMaterial({ color }));
+            });
+            this.placeMarker(slot, extent * 0.008, extent * 0.03, probe.x, probe.y, z,
+                probe.x + extent * 0.01, probe.y + extent * 0.01, z);
         });
+    }
 
-        const points = new THREE.Points(geometry, material);
-        this.scene.add(points);
-        this.vectorObjects.push(points);
+    /**
+     * Marker mesh with a text label, kept between renders and rebuilt only when the text or color changes
+     * @param {function} createMarker - Returns a mesh of unit size, scaled by placeMarker
+     * @returns {object} - The slot, {objects, marker, label, aspect, text, color}; label is null without canvas 2D
+     */
+    useMarkerSlot(key, text, color, createMarker) {
+        return this.useSlot(key, slot => slot.text === text && slot.color === color, () => {
+            const marker = createMarker();
+            const label = this.createLabel(text, color, 1);
+            if (label) label.center.set(0, 0);
+            return {
+                objects: label ? [marker, label] : [marker],
+                marker,
+                label,
+                aspect: label ? label.scale.x : 0,
+                text,
+                color
+            };
+        });
+    }
+
+    /**
+     * Move and size a marker from useMarkerSlot; the label's lower left corner goes at (labelX, labelY, labelZ)
+     * @param {number} size - Marker radius in world units
+     * @param {number} labelHeight - Text height in world units
+     */
+    placeMarker(slot, size, labelHeight, x, y, z, labelX, labelY, labelZ) {
+        slot.marker.position.set(x, y, z);
+        slot.marker.scale.setScalar(size);
+        if (slot.label) {
+            slot.label.position.set(labelX, labelY, labelZ);
+            slot.label.scale.set(labelHeight * slot.aspect, labelHeight, 1);
+        }
+    }
+
+    /**
+     * Point on a plane under a screen position, e.g. for picking path points or probes
+     * @param {THREE.Plane} plane - Defaults to the z = 0 plane of the 2D view
+     * @returns {THREE.Vector3|null} - Null when the plane is not under the cursor
+     */
+    screenToPlane(clientX, clientY, plane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0)) {
+        return this.getPointerRay(clientX, clientY).intersectPlane(plane, new THREE.Vector3());
+    }
+
+    /**
+     * Camera ray through a screen position
+     * @returns {THREE.Ray}
+     */
+    getPointerRay(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1
+        );
+
+        // The camera may have moved since the last frame
+        this.camera.updateMatrixWorld();
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(pointer, this.camera);
+        return raycaster.ray;
+    }
+
+    /**
+     * Short description of a critical point, e.g. 'saddle' or 'stable spiral'
+     */
+    getCriticalPointLabel(point) {
+        if (point.curve) {
+            return 'curve of zeros';
+        }
+        if (point.type === 'spiral') {
+            return point.stable ? 'stable spiral' : 'unstable spiral';
+        }
+        return point.type;
+    }
+
+    /**
+     * Text sprite that always faces the camera
+     * @param {number} height - Text height in world units
+     * @param {string|null} background - Fill behind the text, null for none
+     * @returns {THREE.Sprite|null} - Null where canvas 2D is unavailable
+     */
+    createLabel(text, color, height, background = 'rgba(255, 255, 255, 0.8)') {
+        const canvas = document.createElement('canvas');
+        const context = canvas.getContext('2d');
+        if (!context) return null;
+
+        const fontSize = 48;
+        const font = `${fontSize}px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif`;
+        context.font = font;
+        canvas.width = Math.ceil(context.measureText(text).width) + 24;
+        canvas.height = fontSize + 20;
+
+        // Resizing the canvas resets the context state
+        if (background) {
+            context.fillStyle = background;
+            context.fillRect(0, 0, canvas.width, canvas.height);
+        }
+        context.font = font;
+        context.fillStyle = color;
+        context.textBaseline = 'middle';
+        context.fillText(text, 12, canvas.height / 2);
+
+        const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+            map: new THREE.CanvasTexture(canvas),
+            depthTest: false
+        }));
+        sprite.scale.set(height * canvas.width / canvas.height, height, 1);
+        return sprite;
+    }
+
+    /**
+     * Choose the magnitude colormap; the diverging map for divergence and curl follows the reversal
+     * @param {string} name - Key of COLORMAPS
+     */
+    setColormap(name, reversed = false) {
+        this.colormap = new Colormap(name, reversed);
+        this.divergingColormap = new Colormap('coolwarm', reversed);
+    }
+
+    /**
+     * Get diverging color for a signed scalar: blue (negative), light gray (zero), red (positive)
+     */
+    getScalarColor(value, absMax) {
+        if (!Number.isFinite(value)) {
+            return new THREE.Color(0xcccccc);
+        }
+
+        const ratio = absMax > 0 ? value / absMax : 0;
+        return this.divergingColormap.at(0.5 + 0.5 * ratio);
     }
 
     /**
@@ -312,9 +1503,7 @@ class VectorFieldRenderer {
     getColor(magnitude, maxMag, direction) {
         switch (this.colorMode) {
             case 'magnitude':
-                // Color from blue (low) to red (high)
-                const ratio = Math.min(magnitude / maxMag, 1);
-                return new THREE.Color().setHSL(0.6 - ratio * 0.6, 1, 0.5);
+                return this.colormap.at(magnitude / maxMag);
 
             case 'direction':
                 // Color based on direction
@@ -322,7 +1511,7 @@ class VectorFieldRenderer {
                 return new THREE.Color().setHSL(hue, 1, 0.5);
 
             case 'solid':
-                return 0x667eea;
+                return this.solidColor;
 
             default:
                 return 0x667eea;
@@ -330,24 +1519,100 @@ class VectorFieldRenderer {
     }
 
     /**
-     * Reset camera view
+     * Reset the camera to frame the bounds: top-down in 2D, looking at the center along (1, 1, 1) in 3D
+     * @param {object} bounds - {xMin, xMax, yMin, yMax, zMin, zMax}, the last rendered bounds by default
+     * @param {number} dimension - Camera to reset, the one of the current view by default
      */
-    resetView() {
-        if (this.dimension === 2) {
-            this.camera.position.set(0, 0, 15);
+    resetView(bounds = this.lastRender ? this.lastRender.options.bounds : null, dimension = this.dimension) {
+        const { xMin, xMax, yMin, yMax, zMin, zMax } = bounds || DEFAULT_BOUNDS;
+        const aspect = this.canvas.clientWidth / this.canvas.clientHeight || 1;
+
+        if (dimension === 2) {
+            // Both axes fit with a margin for the colorbars
+            this.viewHeight = Math.max(yMax - yMin, (xMax - xMin) / aspect) * 1.2;
+            this.orthographicCamera.zoom = 1;
+            this.targets.orthographic.set((xMin + xMax) / 2, (yMin + yMax) / 2, 0);
+            this.orthographicCamera.position.copy(this.targets.orthographic).setZ(100);
+            this.orthographicCamera.lookAt(this.targets.orthographic);
         } else {
-            this.camera.position.set(10, 10, 10);
+            // Far enough for the bounding sphere to fit the narrower field of view
+            const radius = Math.hypot(xMax - xMin, yMax - yMin, zMax - zMin) / 2;
+            const fov = THREE.MathUtils.degToRad(this.perspectiveCamera.fov);
+            const narrowest = Math.min(fov, 2 * Math.atan(Math.tan(fov / 2) * aspect));
+            const distance = radius / Math.sin(narrowest / 2);
+
+            this.targets.perspective.set((xMin + xMax) / 2, (yMin + yMax) / 2, (zMin + zMax) / 2);
+            this.perspectiveCamera.position.set(1, 1, 1).normalize().multiplyScalar(distance).add(this.targets.perspective);
+            this.perspectiveCamera.lookAt(this.targets.perspective);
+            this.updateClipping();
         }
-        this.camera.lookAt(0, 0, 0);
+
+        this.updateProjection();
+        this.renderer.render(this.scene, this.camera);
+    }
+
+    /**
+     * Camera pose for saving and sharing views
+     * @returns {object} - {position: [x, y, z], target: [x, y, z]}, plus {orthographic, zoom, height} in 2D
+     */
+    getCameraState() {
+        const state = {
+            position: this.camera.position.toArray(),
+            target: this.getTarget().toArray()
+        };
+        if (this.camera.isOrthographicCamera) {
+            Object.assign(state, { orthographic: true, zoom: this.camera.zoom, height: this.viewHeight });
+        }
+        return state;
+    }
+
+    /**
+     * Restore a camera pose from getCameraState
+     */
+    setCameraState(state) {
+        if (!state || !Array.isArray(state.position)) return;
+
+        const camera = state.orthographic ? this.orthographicCamera : this.perspectiveCamera;
+        const target = this.getTarget(camera);
+        camera.position.fromArray(state.position);
+        target.fromArray(state.target || [0, 0, 0]);
+        if (state.orthographic) {
+            camera.zoom = state.zoom > 0 ? state.zoom : 1;
+            if (state.height > 0) this.viewHeight = state.height;
+        }
+        camera.lookAt(target);
+        // Keep the pose when the restored view is first rendered
+        this.framedBounds[state.orthographic ? 2 : 3] = null;
+
+        this.updateClipping();
+        this.updateProjection();
         this.renderer.render(this.scene, this.camera);
     }
 
     /**
      * Export canvas as image
+     * @param {array} colorbars - Array of {title, min, max, colormap} drawn in the bottom-left corner
      */
-    exportImage() {
+    exportImage(colorbars = []) {
         this.renderer.render(this.scene, this.camera);
-        const dataURL = this.canvas.toDataURL('image/png');
+        let source = this.canvas;
+
+        // The WebGL buffer is still intact right after rendering, so it can be copied onto a 2D canvas
+        if (colorbars.length > 0) {
+            source = document.createElement('canvas');
+            source.width = this.canvas.width;
+            source.height = this.canvas.height;
+            const context = source.getContext('2d');
+            const ratio = this.renderer.getPixelRatio();
+            const colorLegend = new ColorLegend();
+
+            context.drawImage(this.canvas, 0, 0);
+            context.scale(ratio, ratio);
+            const { height } = colorLegend.measure(context, colorbars);
+            colorLegend.draw(context, colorbars, 10, this.canvas.height / ratio - height - 10);
+        }
+
+        const dataURL = source.toDataURL('image/png');
         const link = document.createElement('a');
         link.download = 'vector-field.png';
         link.href = dataURL;
@@ -0,0 +1,72 @@
+/**
+ * Sampling Worker
+ * Parses the layer fields and samples them off the main thread, answering with typed arrays
+ */
+
+importScripts(
+    'https://cdnjs.cloudflare.com/ajax/libs/mathjs/11.11.0/math.min.js',
+    'vectorField.js',
+    'dataField.js',
+    'fieldSampler.js'
+);
+
+let fieldKey = null;
+let fields = new Map();
+// Datasets of the data layers by key, sent once by FieldSampler.shareDatasets
+let datasets = new Map();
+
+/**
+ * Keep the newly sent datasets and drop those no layer uses any more
+ */
+function storeDatasets(layers, added) {
+    added.forEach(({ key, dataset }) => datasets.set(key, dataset));
+    const used = new Set(layers.map(spec => spec.dataset).filter(Boolean));
+    datasets.forEach((dataset, key) => {
+        if (!used.has(key)) datasets.delete(key);
+    });
+}
+
+/**
+ * Parse every layer in order, sources before derived layers,
+ * reusing the parsed fields while expressions and dimension are unchanged
+ * Data layers refer to their dataset by key
+ */
+function buildFields(layers, dimension) {
+    const key = JSON.stringify({ layers, dimension });
+    if (key === fieldKey) return;
+
+    fields = new Map();
+    layers.forEach(spec => {
+        let field;
+        if (spec.type === 'derived') {
+            const [a, b] = spec.sources.map(id => fields.get(id));
+            field = new DerivedVectorField();
+            field.combine(spec.operation, a, b, dimension);
+        } else if (spec.type === 'data') {
+            field = new DataVectorField();
+            field.load(spec.dataset ? datasets.get(spec.dataset) : null, dimension);
+        } else {
+            field = new VectorField();
+            field.parse(spec.expression, dimension, spec.coordinateSystem, spec.inputMode);
+        }
+        fields.set(spec.id, field);
+    });
+    fieldKey = key;
+}
+
+self.onmessage = (e) => {
+    const request = e.data;
+
+    try {
+        storeDatasets(request.layers, request.datasets || []);
+        buildFields(request.layers, request.dimension);
+        // Parameter values change without reparsing, e.g. while a slider is dragged
+        fields.forEach(field => {
+            field.parameters = request.parameters || {};
+        });
+        const result = { id: request.id, ...FieldSampler.sampleLayers(fields, request) };
+        self.postMessage(result, FieldSampler.getTransferables(result));
+    } catch (error) {
+        self.postMessage({ id: request.id, error: error.message });
+    }
+};
@@ -0,0 +1,236 @@
+/**
+ * Slice Planes
+ * Planes n·r = offset through a 3D domain, sampled at their own density
+ * for in-plane arrows, streamlines or a magnitude heatmap
+ */
+
+// Unit normals of the axis-aligned slices
+const SLICE_AXES = {
+    x: [1, 0, 0],
+    y: [0, 1, 0],
+    z: [0, 0, 1]
+};
+
+class SlicePlane {
+    /**
+     * @param {object} props - {id, normal: [x, y, z], offset, mode: 'arrows'|'lines'|'heatmap'}
+     */
+    constructor(props) {
+        const length = Math.hypot(...props.normal) || 1;
+        this.id = props.id;
+        this.normal = props.normal.map(c => c / length);
+        this.offset = props.offset || 0;
+        this.mode = props.mode || 'arrows';
+    }
+
+    /**
+     * Name of the axis the plane is perpendicular to, null for arbitrary normals
+     */
+    getAxis() {
+        const axis = Object.keys(SLICE_AXES).find(name => {
+            return SLICE_AXES[name].every((c, n) => Math.abs(c - this.normal[n]) < 1e-9);
+        });
+        return axis || null;
+    }
+
+    /**
+     * Short label, e.g. 'z = 1.50' or 'n·r = 0.20'
+     */
+    describe() {
+        const axis = this.getAxis();
+        return `${axis || 'n·r'} = ${this.offset.toFixed(2)}`;
+    }
+
+    /**
+     * In-plane unit vectors u and v with u × v = n; axis slices keep the remaining axes in order
+     * @returns {object} - {u, v, n} as [x, y, z] arrays
+     */
+    getBasis() {
+        const n = this.normal;
+        // Start from the coordinate axis least aligned with the normal
+        const helper = [0, 1, 2].reduce((best, axis) => Math.abs(n[axis]) < Math.abs(n[best]) - 1e-9 ? axis : best, 0);
+        const u = [0, 0, 0];
+        u[helper] = 1;
+        const dot = u[0] * n[0] + u[1] * n[1] + u[2] * n[2];
+        for (let axis = 0; axis < 3; axis++) u[axis] -= dot * n[axis];
+        const length = Math.hypot(...u);
+        for (let axis = 0; axis < 3; axis++) u[axis] /= length;
+
+        const v = [
+            n[1] * u[2] - n[2] * u[1],
+            n[2] * u[0] - n[0] * u[2],
+            n[0] * u[1] - n[1] * u[0]
+        ];
+        return { u, v, n };
+    }
+
+    /**
+     * Point of the plane at in-plane coordinates (a, b)
+     */
+    toWorld(a, b, basis = this.getBasis()) {
+        const { u, v, n } = basis;
+        return [0, 1, 2].map(axis => this.offset * n[axis] + a * u[axis] + b * v[axis]);
+    }
+
+    getCorners(bounds) {
+        const { xMin, xMax, yMin, yMax, zMin, zMax } = bounds;
+        const corners = [];
+        [xMin, xMax].forEach(x => [yMin, yMax].forEach(y => [zMin, zMax].forEach(z => corners.push([x, y, z]))));
+        return corners;
+    }
+
+    /**
+     * Offsets at which the plane still touches the domain box
+     * @returns {array} - [min, max]
+     */
+    getOffsetRange(bounds) {
+        const offsets = this.getCorners(bounds).map(p => p[0] * this.normal[0] + p[1] * this.normal[1] + p[2] * this.normal[2]);
+        return [Math.min(...offsets), Math.max(...offsets)];
+    }
+
+    /**
+     * In-plane rectangle covering the part of the plane inside the domain box
+     * @returns {object} - {aMin, aMax, bMin, bMax}
+     */
+    getExtent(bounds, basis = this.getBasis()) {
+        const { u, v } = basis;
+        const corners = this.getCorners(bounds);
+        const as = corners.map(p => p[0] * u[0] + p[1] * u[1] + p[2] * u[2]);
+        const bs = corners.map(p => p[0] * v[0] + p[1] * v[1] + p[2] * v[2]);
+        return { aMin: Math.min(...as), aMax: Math.max(...as), bMin: Math.min(...bs), bMax: Math.max(...bs) };
+    }
+
+    isInside(p, bounds) {
+        const { xMin, xMax, yMin, yMax, zMin, zMax } = bounds;
+        // Rounding in toWorld must not drop points on the box faces
+        const eps = 1e-9 * Math.max(xMax - xMin, yMax - yMin, zMax - zMin);
+        return p[0] >= xMin - eps && p[0] <= xMax + eps &&
+               p[1] >= yMin - eps && p[1] <= yMax + eps &&
+               p[2] >= zMin - eps && p[2] <= zMax + eps;
+    }
+
+    /**
+     * Polygon where the plane cuts the domain box, from the crossings of the twelve box edges
+     * @returns {array} - Corner points [x, y, z] in order around the polygon
+     */
+    getOutline(bounds) {
+        const corners = this.getCorners(bounds);
+        const n = this.normal;
+        const side = corners.map(p => p[0] * n[0] + p[1] * n[1] + p[2] * n[2] - this.offset);
+        const points = [];
+
+        // Corner indices differ in one bit along each box edge
+        for (let a = 0; a < 8; a++) {
+            [1, 2, 4].forEach(bit => {
+                const b = a | bit;
+                if (b === a) return;
+                if (side[a] === 0) points.push(corners[a]);
+                if (side[b] === 0) points.push(corners[b]);
+                if (side[a] * side[b] < 0) {
+                    const s = side[a] / (side[a] - side[b]);
+                    points.push(corners[a].map((c, axis) => c + s * (corners[b][axis] - c)));
+                }
+            });
+        }
+
+        // Drop duplicates from planes through corners, then sort by angle around the center
+        const unique = points.filter((p, index) => points.findIndex(q => Math.hypot(p[0] - q[0], p[1] - q[1], p[2] - q[2]) < 1e-9) === index);
+        if (unique.length < 3) return [];
+
+        const { u, v } = this.getBasis();
+        const center = [0, 1, 2].map(axis => unique.reduce((sum, p) => sum + p[axis], 0) / unique.length);
+        const angle = p => {
+            const d = p.map((c, axis) => c - center[axis]);
+            return Math.atan2(d[0] * v[0] + d[1] * v[1] + d[2] * v[2], d[0] * u[0] + d[1] * u[1] + d[2] * u[2]);
+        };
+        return unique.sort((p, q) => angle(p) - angle(q));
+    }
+
+    /**
+     * Sample a field on a resolution × resolution grid over the plane, keeping the points inside the box
+     * Vectors are projected into the plane, magnitudes are those of the projections
+     * @returns {object} - Samples as from VectorField.generateGrid, plus fieldMagnitudes (|F|),
+     *   gridIndex (sample index per grid point, -1 outside the box) and the grid size nu, nv
+     */
+    sample(field, bounds, resolution, t = 0) {
+        const basis = this.getBasis();
+        const { n } = basis;
+        const { aMin, aMax, bMin, bMax } = this.getExtent(bounds, basis);
+        const total = resolution * resolution;
+        const positions = new Float32Array(total * 3);
+        const vectors = new Float32Array(total * 3);
+        const magnitudes = new Float32Array(total);
+        const fieldMagnitudes = new Float32Array(total);
+        const gridIndex = new Int32Array(total).fill(-1);
+        let count = 0;
+        let singularCount = 0;
+
+        for (let j = 0; j < resolution; j++) {
+            for (let i = 0; i < resolution; i++) {
+                const a = aMin + (aMax - aMin) * i / (resolution - 1);
+                const b = bMin + (bMax - bMin) * j / (resolution - 1);
+                const p = this.toWorld(a, b, basis);
+                if (!this.isInside(p, bounds)) continue;
+
+                const vec = field.evaluate(p[0], p[1], p[2], t);
+                const mag = Math.sqrt(vec.x * vec.x + vec.y * vec.y + vec.z * vec.z);
+                const dot = vec.x * n[0] + vec.y * n[1] + vec.z * n[2];
+                const projected = [vec.x - dot * n[0], vec.y - dot * n[1], vec.z - dot * n[2]];
+
+                positions.set(p, count * 3);
+                if (Number.isFinite(Math.fround(mag))) {
+                    vectors.set(projected, count * 3);
+                    magnitudes[count] = Math.hypot(...projected);
+                    fieldMagnitudes[count] = mag;
+                } else {
+                    magnitudes[count] = NaN;
+                    fieldMagnitudes[count] = NaN;
+                    singularCount++;
+                }
+                gridIndex[j * resolution + i] = count;
+                count++;
+            }
+        }
+
+        return { count, positions, vectors, magnitudes, fieldMagnitudes, singularCount, gridIndex, nu: resolution, nv: resolution };
+    }
+
+    /**
+     * Streamlines of the in-plane part of the field, traced in plane coordinates
+     * @param {object} options - {seeding, density, t} as for StreamlineTracer.trace
+     * @returns {array} - Array of {points: [{x,y,z}], mags: [number]} in world coordinates
+     */
+    traceStreamlines(field, bounds, options = {}) {
+        const basis = this.getBasis();
+        const { u, v } = basis;
+        const { aMin, aMax, bMin, bMax } = this.getExtent(bounds, basis);
+
+        // The tracer sees a 2D field over the plane's rectangle, undefined outside the box
+        const planeField = {
+            dimension: 2,
+            evaluate: (a, b, c, t) => {
+                const p = this.toWorld(a, b, basis);
+                if (!this.isInside(p, bounds)) return { x: NaN, y: NaN, z: 0 };
+                const f = field.evaluate(p[0], p[1], p[2], t);
+                return {
+                    x: f.x * u[0] + f.y * u[1] + f.z * u[2],
+                    y: f.x * v[0] + f.y * v[1] + f.z * v[2],
+                    z: 0
+                };
+            },
+            magnitude(a, b, c, t) {
+                const f = this.evaluate(a, b, c, t);
+                return Math.hypot(f.x, f.y);
+            }
+        };
+
+        const lines = new StreamlineTracer(planeField).trace({ xMin: aMin, xMax: aMax, yMin: bMin, yMax: bMax }, options);
+        return lines.map(line => ({
+            points: line.points.map(p => {
+                const [x, y, z] = this.toWorld(p.x, p.y, basis);
+                return { x, y, z };
+            }),
+            mags: line.mags
+        }));
+    }
+}
@@ -0,0 +1,424 @@
+/**
+ * Streamline Tracer
+ * Integrates true field lines through a VectorField with an adaptive RK45 stepper
+ */
+
+class StreamlineTracer {
+    constructor(vectorField) {
+        this.vectorField = vectorField;
+
+        // Integration settings
+        this.tolerance = 1e-4;      // Error tolerance relative to domain size
+        this.maxSteps = 2000;       // Steps per direction
+        this.stagnation = 1e-6;     // Below this magnitude the flow is considered stopped
+        this.singularity = 1e6;     // Above this magnitude the flow is considered singular
+    }
+
+    /**
+     * Trace streamlines through the field
+     * @param {object} bounds - {xMin, xMax, yMin, yMax, zMin, zMax}
+     * @param {object} options - {seeding: 'even'|'grid', density, t}
+     * @returns {array} - Array of {points: [{x,y,z}], mags: [number]}
+     */
+    trace(bounds, options = {}) {
+        const { seeding = 'even', density = 15, t = 0 } = options;
+        const dimension = this.vectorField.dimension;
+        this.prepare(bounds, density, t);
+
+        const streamlines = [];
+        const queue = [];
+
+        const tryTrace = (seed) => {
+            if (!this.isInside(seed) || this.isOccupied(seed, this.separation)) return null;
+
+            const line = this.traceFromSeed(seed);
+            if (line.points.length < 3) return null;
+
+            line.points.forEach(p => this.occupy(p));
+            streamlines.push(line);
+            return line;
+        };
+
+        // Even spacing grows new lines from candidates alongside existing ones,
+        // grid seeds fill in any regions not reached that way
+        const gridSeeds = this.getGridSeeds(dimension, density);
+        for (const seed of gridSeeds) {
+            const line = tryTrace(seed);
+            if (!line || seeding !== 'even') continue;
+
+            queue.push(line);
+            while (queue.length > 0) {
+                const current = queue.shift();
+                for (const candidate of this.getNeighborSeeds(current, dimension)) {
+                    const next = tryTrace(candidate);
+                    if (next) queue.push(next);
+                }
+            }
+        }
+
+        return streamlines.map(line => ({
+            points: line.points.map(p => ({ x: p[0], y: p[1], z: p[2] })),
+            mags: line.mags
+        }));
+    }
+
+    /**
+     * Trace the separatrices of saddle points: along the unstable eigenvectors forward
+     * and along the stable eigenvectors backward, starting just off the saddle
+     * @param {array} criticalPoints - From VectorField.findCriticalPoints
+     * @param {object} bounds - {xMin, xMax, yMin, yMax}
+     * @param {object} options - {density, t}
+     * @returns {array} - Array of {points: [{x,y,z}], mags: [number], stable: boolean}
+     */
+    traceSeparatrices(criticalPoints, bounds, options = {}) {
+        const { density = 15, t = 0 } = options;
+        this.prepare(bounds, density, t);
+
+        const offset = this.getExtent(this.vectorField.dimension) * 1e-3;
+        const separatrices = [];
+
+        criticalPoints.filter(p => p.type === 'saddle').forEach(saddle => {
+            const origin = [saddle.x, saddle.y, 0];
+
+            saddle.eigenvectors.forEach((v, index) => {
+                const stable = saddle.eigenvalues[index].re < 0;
+
+                [1, -1].forEach(side => {
+                    const seed = [saddle.x + side * offset * v[0], saddle.y + side * offset * v[1], 0];
+                    const line = this.integrate(seed, stable ? -1 : 1);
+
+                    separatrices.push({
+                        points: [origin, ...line.points].map(p => ({ x: p[0], y: p[1], z: p[2] })),
+                        mags: [0, ...line.mags],
+                        stable
+                    });
+                });
+            });
+        });
+
+        return separatrices;
+    }
+
+    /**
+     * Set the domain, step sizes and an empty occupancy grid for tracing
+     */
+    prepare(bounds, density, t) {
+        const dimension = this.vectorField.dimension;
+
+        this.t = t;
+        this.bounds = {
+            xMin: bounds.xMin, xMax: bounds.xMax,
+            yMin: bounds.yMin, yMax: bounds.yMax,
+            zMin: dimension === 3 ? bounds.zMin : 0,
+            zMax: dimension === 3 ? bounds.zMax : 0
+        };
+
+        const extent = this.getExtent(dimension);
+        this.separation = extent / density;
+        this.testDistance = this.separation * 0.5;
+        this.maxStep = this.separation * 0.5;
+        this.minStep = extent * 1e-6;
+        this.absTolerance = extent * this.tolerance;
+        this.occupancy = new Map();
+    }
+
+    /**
+     * Size of the domain used to scale steps and spacing
+     */
+    getExtent(dimension) {
+        const { xMin, xMax, yMin, yMax, zMin, zMax } = this.bounds;
+        const spans = [xMax - xMin, yMax - yMin];
+        if (dimension === 3) spans.push(zMax - zMin);
+        return Math.min(...spans.filter(s => s > 0)) || 1;
+    }
+
+    /**
+     * Regular seed points, ordered from the center outwards so the
+     * most interesting structure is traced first
+     */
+    getGridSeeds(dimension, density) {
+        const { xMin, xMax, yMin, yMax, zMin, zMax } = this.bounds;
+        const n = dimension === 3 ? Math.max(3, Math.ceil(density / 2)) : density;
+        const seeds = [];
+
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) {
+                const x = xMin + (i + 0.5) * (xMax - xMin) / n;
+                const y = yMin + (j + 0.5) * (yMax - yMin) / n;
+
+                if (dimension === 2) {
+                    seeds.push([x, y, 0]);
+                    continue;
+                }
+                for (let k = 0; k < n; k++) {
+                    seeds.push([x, y, zMin + (k + 0.5) * (zMax - zMin) / n]);
+                }
+            }
+        }
+
+        const cx = (xMin + xMax) / 2;
+        const cy = (yMin + yMax) / 2;
+        const cz = (zMin + zMax) / 2;
+        const dist = p => (p[0] - cx) ** 2 + (p[1] - cy) ** 2 + (p[2] - cz) ** 2;
+        return seeds.sort((a, b) => dist(a) - dist(b));
+    }
+
+    /**
+     * Candidate seeds offset by the separation distance to either side of a line
+     */
+    getNeighborSeeds(line, dimension) {
+        const seeds = [];
+        const { points } = line;
+        const stride = Math.max(1, Math.floor(points.length / 20));
+
+        for (let i = 1; i < points.length - 1; i += stride) {
+            const prev = points[i - 1];
+            const next = points[i + 1];
+            let tx = next[0] - prev[0];
+            let ty = next[1] - prev[1];
+            let tz = next[2] - prev[2];
+            const len = Math.sqrt(tx * tx + ty * ty + tz * tz);
+            if (len === 0) continue;
+            tx /= len; ty /= len; tz /= len;
+
+            // Perpendicular directions: one in 2D, two in 3D
+            const normals = [];
+            if (dimension === 2) {
+                normals.push([-ty, tx, 0]);
+            } else {
+                const ref = Math.abs(tz) < 0.9 ? [0, 0, 1] : [1, 0, 0];
+                const n1 = this.normalize(this.cross([tx, ty, tz], ref));
+                normals.push(n1, this.cross([tx, ty, tz], n1));
+            }
+
+            const p = points[i];
+            for (const n of normals) {
+                for (const side of [1, -1]) {
+                    const d = side * this.separation;
+                    seeds.push([p[0] + n[0] * d, p[1] + n[1] * d, p[2] + n[2] * d]);
+                }
+            }
+        }
+
+        return seeds;
+    }
+
+    /**
+     * Integrate forward and backward from a seed and join the two halves
+     */
+    traceFromSeed(seed) {
+        const forward = this.integrate(seed, 1);
+        const backward = this.integrate(seed, -1);
+
+        return {
+            points: backward.points.reverse().concat(forward.points.slice(1)),
+            mags: backward.mags.reverse().concat(forward.mags.slice(1))
+        };
+    }
+
+    /**
+     * Integrate a single direction along the normalized field with adaptive step size
+     * @param {array} seed - [x, y, z]
+     * @param {number} direction - 1 for forward, -1 for backward
+     */
+    integrate(seed, direction) {
+        const startMag = this.magnitudeAt(seed);
+        const points = [seed];
+        const mags = [startMag];
+        if (!this.isFlowing(startMag)) return { points, mags };
+
+        let p = seed;
+        let h = this.maxStep * 0.5;
+        let length = 0;
+
+        for (let step = 0; step < this.maxSteps; step++) {
+            const result = this.rk45Step(p, h * direction);
+
+            if (!result) {
+                // Singular or undefined somewhere inside the step, retry smaller
+                h /= 4;
+                if (h < this.minStep) break;
+                continue;
+            }
+
+            if (result.error > this.absTolerance && h > this.minStep) {
+                h = Math.max(this.minStep, h * Math.max(0.2, 0.9 * Math.pow(this.absTolerance / result.error, 0.2)));
+                continue;
+            }
+
+            const next = result.point;
+            const mag = this.magnitudeAt(next);
+
+            if (!this.isInside(next)) {
+                const clipped = this.clipToBounds(p, next);
+                points.push(clipped);
+                mags.push(this.magnitudeAt(clipped));
+                break;
+            }
+            if (!this.isFlowing(mag)) break;
+            if (this.isOccupied(next, this.testDistance)) break;
+
+            points.push(next);
+            mags.push(mag);
+            length += this.distance(p, next);
+            p = next;
+
+            // Closed orbit: stop once the line comes back around to its seed
+            if (length > this.separation * 2 && this.distance(p, seed) < this.maxStep * 0.5) {
+                points.push(seed);
+                mags.push(startMag);
+                break;
+            }
+
+            // Grow the step when the error allows it
+            const growth = result.error > 0 ? 0.9 * Math.pow(this.absTolerance / result.error, 0.2) : 5;
+            h = Math.min(this.maxStep, h * Math.min(5, Math.max(1, growth)));
+        }
+
+        return { points, mags };
+    }
+
+    /**
+     * One Dormand-Prince 5(4) step along the unit direction field
+     * @returns {object|null} - {point, error}, null if the field is undefined along the step
+     */
+    rk45Step(p, h) {
+        const f = q => this.directionAt(q);
+        const add = (base, terms) => {
+            const out = base.slice();
+            for (const [coef, k] of terms) {
+                out[0] += h * coef * k[0];
+                out[1] += h * coef * k[1];
+                out[2] += h * coef * k[2];
+            }
+            return out;
+        };
+
+        const k1 = f(p);
+        if (!k1) return null;
+        const k2 = f(add(p, [[1 / 5, k1]]));
+        if (!k2) return null;
+        const k3 = f(add(p, [[3 / 40, k1], [9 / 40, k2]]));
+        if (!k3) return null;
+        const k4 = f(add(p, [[44 / 45, k1], [-56 / 15, k2], [32 / 9, k3]]));
+        if (!k4) return null;
+        const k5 = f(add(p, [[19372 / 6561, k1], [-25360 / 2187, k2], [64448 / 6561, k3], [-212 / 729, k4]]));
+        if (!k5) return null;
+        const k6 = f(add(p, [[9017 / 3168, k1], [-355 / 33, k2], [46732 / 5247, k3], [49 / 176, k4], [-5103 / 18656, k5]]));
+        if (!k6) return null;
+
+        const point = add(p, [[35 / 384, k1], [500 / 1113, k3], [125 / 192, k4], [-2187 / 6784, k5], [11 / 84, k6]]);
+        const k7 = f(point);
+        if (!k7) return null;
+
+        // Difference between the 5th and embedded 4th order solutions
+        const e = [71 / 57600, 0, -71 / 16695, 71 / 1920, -17253 / 339200, 22 / 525, -1 / 40];
+        const ks = [k1, k2, k3, k4, k5, k6, k7];
+        let error = 0;
+        for (let axis = 0; axis < 3; axis++) {
+            let sum = 0;
+            for (let s = 0; s < 7; s++) sum += e[s] * ks[s][axis];
+            error = Math.max(error, Math.abs(h * sum));
+        }
+
+        return { point, error };
+    }
+
+    /**
+     * Unit field direction at a point, null at stagnation points or singularities
+     */
+    directionAt(p) {
+        const vec = this.vectorField.evaluate(p[0], p[1], p[2], this.t);
+        const z = this.vectorField.dimension === 3 ? vec.z : 0;
+        const mag = Math.sqrt(vec.x * vec.x + vec.y * vec.y + z * z);
+        if (!this.isFlowing(mag)) return null;
+        return [vec.x / mag, vec.y / mag, z / mag];
+    }
+
+    magnitudeAt(p) {
+        return this.vectorField.magnitude(p[0], p[1], p[2], this.t);
+    }
+
+    isFlowing(mag) {
+        return Number.isFinite(mag) && mag > this.stagnation && mag < this.singularity;
+    }
+
+    isInside(p) {
+        const { xMin, xMax, yMin, yMax, zMin, zMax } = this.bounds;
+        return p[0] >= xMin && p[0] <= xMax &&
+               p[1] >= yMin && p[1] <= yMax &&
+               p[2] >= zMin && p[2] <= zMax;
+    }
+
+    /**
+     * Point where the segment from inside point a to outside point b leaves the domain
+     */
+    clipToBounds(a, b) {
+        const { xMin, xMax, yMin, yMax, zMin, zMax } = this.bounds;
+        const mins = [xMin, yMin, zMin];
+        const maxs = [xMax, yMax, zMax];
+        let s = 1;
+
+        for (let axis = 0; axis < 3; axis++) {
+            const d = b[axis] - a[axis];
+            if (b[axis] > maxs[axis] && d !== 0) s = Math.min(s, (maxs[axis] - a[axis]) / d);
+            if (b[axis] < mins[axis] && d !== 0) s = Math.min(s, (mins[axis] - a[axis]) / d);
+        }
+
+        return [a[0] + (b[0] - a[0]) * s, a[1] + (b[1] - a[1]) * s, a[2] + (b[2] - a[2]) * s];
+    }
+
+    /**
+     * Occupancy grid with cells the size of the separation distance
+     */
+    cellKey(ix, iy, iz) {
+        return `${ix},${iy},${iz}`;
+    }
+
+    cellIndex(p) {
+        return [
+            Math.floor((p[0] - this.bounds.xMin) / this.separation),
+            Math.floor((p[1] - this.bounds.yMin) / this.separation),
+            Math.floor((p[2] - this.bounds.zMin) / this.separation)
+        ];
+    }
+
+    occupy(p) {
+        const key = this.cellKey(...this.cellIndex(p));
+        if (!this.occupancy.has(key)) this.occupancy.set(key, []);
+        this.occupancy.get(key).push(p);
+    }
+
+    isOccupied(p, radius) {
+        const [ix, iy, iz] = this.cellIndex(p);
+        const zRange = this.vectorField.dimension === 3 ? [-1, 0, 1] : [0];
+
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                for (const dz of zRange) {
+                    const cell = this.occupancy.get(this.cellKey(ix + dx, iy + dy, iz + dz));
+                    if (!cell) continue;
+                    if (cell.some(q => this.distance(p, q) < radius)) return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    distance(a, b) {
+        return Math.sqrt((a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2);
+    }
+
+    cross(a, b) {
+        return [
+            a[1] * b[2] - a[2] * b[1],
+            a[2] * b[0] - a[0] * b[2],
+            a[0] * b[1] - a[1] * b[0]
+        ];
+    }
+
+    normalize(v) {
+        const len = Math.sqrt(v[0] * v[0] + v[1] * v[1] + v[2] * v[2]);
+        return len > 0 ? [v[0] / len, v[1] / len, v[2] / len] : v;
+    }
+}
@@ -0,0 +1,481 @@
+/**
+ * SVG Exporter
+ * Builds a vector image of the last 2D render from the same samples and colors as the canvas
+ */
+
+class SVGExporter {
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.plotWidth = 600;       // Plot area width in px, height follows the domain aspect
+        this.margin = { top: 20, right: 30, bottom: 50, left: 60 };
+        this.legendWidth = 80;
+    }
+
+    /**
+     * Build the SVG document for the last rendered scene
+     * @param {object} options - {legend: boolean}
+     * @returns {string} - SVG markup
+     */
+    build(options = {}) {
+        const { legend = true } = options;
+        const { layers, options: sceneOptions } = this.renderer.lastRender;
+        const { bounds, scale = 0.3, scalarGrid = null } = sceneOptions;
+
+        // Equal aspect ratio so arrow lengths and angles match the field
+        const { xMin, xMax, yMin, yMax } = bounds;
+        const unit = this.plotWidth / (xMax - xMin);
+        const plotHeight = (yMax - yMin) * unit;
+        const colorbars = legend ? sceneOptions.colorbars || [] : [];
+
+        const width = this.margin.left + this.plotWidth + this.margin.right + colorbars.length * this.legendWidth;
+        const height = this.margin.top + plotHeight + this.margin.bottom;
+
+        this.map = {
+            x: x => this.margin.left + (x - xMin) * unit,
+            y: y => this.margin.top + (yMax - y) * unit,
+            unit
+        };
+
+        const parts = [];
+        parts.push(`<?xml version="1.0" encoding="UTF-8"?>`);
+        parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif" font-size="12">`);
+        parts.push(`<defs><clipPath id="plot-area"><rect x="${this.margin.left}" y="${this.margin.top}" width="${this.plotWidth}" height="${this.format(plotHeight)}"/></clipPath></defs>`);
+        parts.push(`<rect width="${width}" height="${height}" fill="#ffffff"/>`);
+
+        parts.push('<g id="field" clip-path="url(#plot-area)">');
+        if (scalarGrid && sceneOptions.overlay !== 'none') {
+            parts.push(this.buildHeatmap(scalarGrid, bounds));
+        }
+        layers.forEach(layer => parts.push(this.buildLayer(layer, scale)));
+        if (sceneOptions.equipotentials && sceneOptions.equipotentials.length > 0) {
+            parts.push(this.buildEquipotentials(sceneOptions.equipotentials));
+        }
+        if (sceneOptions.criticalPoints) {
+            parts.push(this.buildCriticalPoints(sceneOptions.criticalPoints, sceneOptions.separatrices || []));
+        }
+        if (sceneOptions.path) {
+            parts.push(this.buildPath(sceneOptions.path, bounds));
+        }
+        if (sceneOptions.trajectories && sceneOptions.trajectories.length > 0) {
+            parts.push(this.buildTrajectories(sceneOptions.trajectories, bounds));
+        }
+        if (sceneOptions.probes && sceneOptions.probes.length > 0) {
+            parts.push(this.buildProbes(sceneOptions.probes));
+        }
+        parts.push('</g>');
+
+        parts.push(this.buildAxes(bounds, plotHeight));
+
+        if (colorbars.length > 0) {
+            parts.push(this.buildLegend(colorbars, plotHeight));
+        }
+
+        parts.push('</svg>');
+        return parts.join('\n');
+    }
+
+    /**
+     * Download the SVG for the last rendered scene
+     */
+    download(options = {}) {
+        const blob = new Blob([this.build(options)], { type: 'image/svg+xml' });
+        const link = document.createElement('a');
+        link.download = 'vector-field.svg';
+        link.href = URL.createObjectURL(blob);
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    /**
+     * One group per layer so it can be edited separately
+     */
+    buildLayer(layer, scale) {
+        const { samples = { count: 0 }, renderMode, colorMode, color, maxMag = 1, streamlines = [], advector = null } = layer;
+        const parts = [`<g id="layer-${layer.layer ? layer.layer.id : 1}">`];
+
+        // getColor reads the layer style from the renderer
+        this.renderer.colorMode = colorMode;
+        this.renderer.solidColor = color;
+
+        switch (renderMode) {
+            case 'arrows':
+                for (let n = 0; n < samples.count; n++) {
+                    parts.push(this.buildArrow(samples, n, scale, maxMag));
+                }
+                break;
+            case 'lines':
+                streamlines.forEach(line => parts.push(this.buildStreamline(line, scale, maxMag)));
+                break;
+            case 'particles':
+                for (let n = 0; n < samples.count; n++) {
+                    if (!Number.isFinite(samples.magnitudes[n])) continue;
+                    const direction = new THREE.Vector3().fromArray(samples.vectors, n * 3).normalize();
+                    const cx = this.format(this.map.x(samples.positions[n * 3]));
+                    const cy = this.format(this.map.y(samples.positions[n * 3 + 1]));
+                    parts.push(`<circle cx="${cx}" cy="${cy}" r="2" fill="${this.colorOf(samples.magnitudes[n], maxMag, direction)}"/>`);
+                }
+                break;
+            case 'flow':
+                if (advector) parts.push(this.buildParticleFlow(advector, maxMag));
+                break;
+        }
+
+        if ((renderMode === 'arrows' || renderMode === 'particles') && samples.singularCount > 0) {
+            parts.push(this.buildSingularPoints(samples));
+        }
+
+        parts.push('</g>');
+        return parts.join('\n');
+    }
+
+    /**
+     * Arrow with the same proportions as THREE.ArrowHelper in renderArrows
+     */
+    buildArrow(samples, n, scale, maxMag) {
+        const mag = samples.magnitudes[n];
+        if (!(mag >= 0.001)) return '';
+
+        const pos = new THREE.Vector3().fromArray(samples.positions, n * 3);
+        const direction = new THREE.Vector3().fromArray(samples.vectors, n * 3).normalize();
+        const color = this.colorOf(mag, maxMag, direction);
+        const length = samples.normalizedMagnitudes ? samples.normalizedMagnitudes[n] * maxMag : mag;
+
+        return this.buildArrowShape(pos, direction.x, direction.y, length * scale * 2, color);
+    }
+
+    /**
+     * Crosses at singular samples like renderSingularPoints
+     */
+    buildSingularPoints(samples) {
+        const parts = [];
+        const size = 4;
+
+        for (let n = 0; n < samples.count; n++) {
+            if (Number.isFinite(samples.magnitudes[n])) continue;
+
+            const cx = this.map.x(samples.positions[n * 3]);
+            const cy = this.map.y(samples.positions[n * 3 + 1]);
+            parts.push(`<path d="M${this.format(cx - size)},${this.format(cy - size)} L${this.format(cx + size)},${this.format(cy + size)} ` +
+                `M${this.format(cx - size)},${this.format(cy + size)} L${this.format(cx + size)},${this.format(cy - size)}" ` +
+                `stroke="${SINGULAR_COLOR}" stroke-width="1.5"/>`);
+        }
+
+        return parts.join('\n');
+    }
+
+    /**
+     * Arrow from pos along the unit direction (dx, dy), with the head proportions of the 3D arrows
+     */
+    buildArrowShape(pos, dx, dy, length, color) {
+        const headLength = length * 0.2;
+        const headHalfWidth = length * 0.05;
+        const tipX = pos.x + dx * length;
+        const tipY = pos.y + dy * length;
+        const baseX = tipX - dx * headLength;
+        const baseY = tipY - dy * headLength;
+
+        const points = [
+            [tipX, tipY],
+            [baseX - dy * headHalfWidth, baseY + dx * headHalfWidth],
+            [baseX + dy * headHalfWidth, baseY - dx * headHalfWidth]
+        ].map(([x, y]) => `${this.format(this.map.x(x))},${this.format(this.map.y(y))}`).join(' ');
+
+        return `<line x1="${this.format(this.map.x(pos.x))}" y1="${this.format(this.map.y(pos.y))}" ` +
+            `x2="${this.format(this.map.x(baseX))}" y2="${this.format(this.map.y(baseY))}" stroke="${color}" stroke-width="1.2"/>` +
+            `<polygon points="${points}" fill="${color}"/>`;
+    }
+
+    /**
+     * Streamline as colored segments plus a mid-line chevron like renderFieldLines
+     */
+    buildStreamline(line, scale, maxMag) {
+        const { points, mags } = line;
+        const parts = [];
+
+        for (let n = 0; n < points.length - 1; n++) {
+            const a = points[n];
+            const b = points[n + 1];
+            const direction = new THREE.Vector3(b.x - a.x, b.y - a.y, 0).normalize();
+            parts.push(`<line x1="${this.format(this.map.x(a.x))}" y1="${this.format(this.map.y(a.y))}" ` +
+                `x2="${this.format(this.map.x(b.x))}" y2="${this.format(this.map.y(b.y))}" ` +
+                `stroke="${this.colorOf(mags[n], maxMag, direction)}" stroke-width="1" stroke-linecap="round"/>`);
+        }
+
+        const mid = Math.floor(points.length / 2);
+        const tip = points[mid];
+        const prev = points[mid - 1];
+        const direction = new THREE.Vector3(tip.x - prev.x, tip.y - prev.y, 0).normalize();
+        if (direction.lengthSq() > 0) {
+            const headLength = scale * 0.8;
+            const backX = tip.x - direction.x * headLength;
+            const backY = tip.y - direction.y * headLength;
+            const sideX = -direction.y * headLength * 0.5;
+            const sideY = direction.x * headLength * 0.5;
+            const chevron = [
+                [backX + sideX, backY + sideY],
+                [tip.x, tip.y],
+                [backX - sideX, backY - sideY]
+            ].map(([x, y]) => `${this.format(this.map.x(x))},${this.format(this.map.y(y))}`).join(' ');
+
+            parts.push(`<polyline points="${chevron}" fill="none" stroke="${this.colorOf(mags[mid], maxMag, direction)}" stroke-width="1"/>`);
+        }
+
+        return `<g>${parts.join('')}</g>`;
+    }
+
+    /**
+     * Current particle positions with their trails
+     */
+    buildParticleFlow(advector, maxMag) {
+        const parts = [];
+        const L = advector.trailLength;
+        const direction = new THREE.Vector3();
+
+        for (let n = 0; n < advector.count; n++) {
+            const i = n * 3;
+            direction.set(advector.velocities[i], advector.velocities[i + 1], 0).normalize();
+            const color = this.colorOf(advector.speeds[n], maxMag, direction);
+
+            const trail = [];
+            for (let k = 0; k < L; k++) {
+                const t = (n * L + k) * 3;
+                trail.push(`${this.format(this.map.x(advector.trails[t]))},${this.format(this.map.y(advector.trails[t + 1]))}`);
+            }
+
+            parts.push(`<polyline points="${trail.join(' ')}" fill="none" stroke="${color}" stroke-opacity="0.5" stroke-width="1"/>`);
+            parts.push(`<circle cx="${this.format(this.map.x(advector.positions[i]))}" cy="${this.format(this.map.y(advector.positions[i + 1]))}" r="1.5" fill="${color}"/>`);
+        }
+
+        return parts.join('\n');
+    }
+
+    /**
+     * Equipotential contour lines, one path per level
+     */
+    buildEquipotentials(levels) {
+        const parts = ['<g id="equipotentials">'];
+
+        levels.forEach(level => {
+            if (!level.segments || level.segments.length === 0) return;
+            const { segments } = level;
+            const moves = [];
+            for (let k = 0; k < segments.length; k += 4) {
+                moves.push(`M${this.format(this.map.x(segments[k]))},${this.format(this.map.y(segments[k + 1]))} ` +
+                    `L${this.format(this.map.x(segments[k + 2]))},${this.format(this.map.y(segments[k + 3]))}`);
+            }
+            parts.push(`<path d="${moves.join(' ')}" fill="none" stroke="${level.color}" stroke-width="1"/>`);
+        });
+
+        parts.push('</g>');
+        return parts.join('\n');
+    }
+
+    /**
+     * Critical point markers with labels, and saddle separatrices
+     */
+    buildCriticalPoints(points, separatrices) {
+        const parts = ['<g id="critical-points">'];
+
+        separatrices.forEach(line => {
+            const color = line.stable ? CRITICAL_POINT_STYLES.sink.color : CRITICAL_POINT_STYLES.source.color;
+            const coords = line.points.map(p => `${this.format(this.map.x(p.x))},${this.format(this.map.y(p.y))}`).join(' ');
+            parts.push(`<polyline points="${coords}" fill="none" stroke="${color}" stroke-width="1.2"/>`);
+        });
+
+        points.forEach(point => {
+            const color = CRITICAL_POINT_STYLES[point.type].color;
+            const cx = this.format(this.map.x(point.x));
+            const cy = this.format(this.map.y(point.y));
+            parts.push(`<circle cx="${cx}" cy="${cy}" r="4" fill="${color}"/>`);
+            parts.push(`<text x="${this.format(cx + 6)}" y="${this.format(cy - 6)}" fill="${color}">${this.escape(this.renderer.getCriticalPointLabel(point))}</text>`);
+        });
+
+        parts.push('</g>');
+        return parts.join('\n');
+    }
+
+    /**
+     * Integration path with its control points and tangential/normal glyphs like renderPath
+     */
+    buildPath(path, bounds) {
+        const { points, closed = false, controlPoints = [], glyphs = [] } = path;
+        const extent = Math.max(bounds.xMax - bounds.xMin, bounds.yMax - bounds.yMin);
+        const coords = points.map(p => `${this.format(this.map.x(p.x))},${this.format(this.map.y(p.y))}`).join(' ');
+        const parts = ['<g id="path">'];
+
+        parts.push(`<${closed ? 'polygon' : 'polyline'} points="${coords}" fill="none" stroke="#2c3e50" stroke-width="1.5"/>`);
+        controlPoints.forEach(p => {
+            parts.push(`<circle cx="${this.format(this.map.x(p.x))}" cy="${this.format(this.map.y(p.y))}" r="3" fill="#2c3e50"/>`);
+        });
+
+        const maxComponent = glyphs.reduce((max, g) => {
+            return Math.max(max, Math.abs(g.tangential), Math.abs(g.normalComponent));
+        }, 0);
+        if (maxComponent > 0 && Number.isFinite(maxComponent)) {
+            glyphs.forEach(g => {
+                [[g.tangent, g.tangential, '#27ae60'], [g.normal, g.normalComponent, '#e67e22']].forEach(([axis, value, color]) => {
+                    if (!Number.isFinite(value) || value === 0) return;
+                    const sign = Math.sign(value);
+                    const length = (Math.abs(value) / maxComponent) * extent * 0.08;
+                    parts.push(this.buildArrowShape(g, axis[0] * sign, axis[1] * sign, length, color));
+                });
+            });
+        }
+
+        parts.push('</g>');
+        return parts.join('\n');
+    }
+
+    /**
+     * Seeded trajectories with direction arrows and seed dots like renderTrajectories
+     */
+    buildTrajectories(trajectories, bounds) {
+        const length = Math.max(bounds.xMax - bounds.xMin, bounds.yMax - bounds.yMin) * 0.03;
+        const parts = ['<g id="trajectories">'];
+
+        trajectories.forEach(trajectory => {
+            const color = TRAJECTORY_COLORS[(trajectory.id - 1) % TRAJECTORY_COLORS.length];
+            const coords = trajectory.points.map(p => `${this.format(this.map.x(p.x))},${this.format(this.map.y(p.y))}`).join(' ');
+            parts.push(`<polyline points="${coords}" fill="none" stroke="${color}" stroke-width="1.5"/>`);
+            trajectory.arrows.forEach(({ x, y, direction: [dx, dy] }) => {
+                const start = { x: x - dx * length / 2, y: y - dy * length / 2 };
+                parts.push(this.buildArrowShape(start, dx, dy, length, color));
+            });
+            parts.push(`<circle cx="${this.format(this.map.x(trajectory.x))}" cy="${this.format(this.map.y(trajectory.y))}" r="3" fill="${color}"/>`);
+        });
+
+        parts.push('</g>');
+        return parts.join('\n');
+    }
+
+    /**
+     * Pinned probes as labeled markers like renderProbes
+     */
+    buildProbes(probes) {
+        const parts = ['<g id="probes">'];
+
+        probes.forEach(probe => {
+            const cx = this.map.x(probe.x);
+            const cy = this.map.y(probe.y);
+            parts.push(`<circle cx="${this.format(cx)}" cy="${this.format(cy)}" r="3.5" fill="#34495e"/>`);
+            parts.push(`<text x="${this.format(cx + 6)}" y="${this.format(cy - 6)}" fill="#34495e">${this.escape(`P${probe.id}`)}</text>`);
+        });
+
+        parts.push('</g>');
+        return parts.join('\n');
+    }
+
+    /**
+     * Divergence/curl heatmap as one rectangle per grid sample
+     */
+    buildHeatmap(scalarGrid, bounds) {
+        const { nx, ny, values, min, max } = scalarGrid;
+        const { xMin, xMax, yMin, yMax } = bounds;
+        const absMax = Math.max(Math.abs(min), Math.abs(max));
+        const cellW = (xMax - xMin) / (nx - 1) * this.map.unit;
+        const cellH = (yMax - yMin) / (ny - 1) * this.map.unit;
+        const parts = ['<g id="heatmap" shape-rendering="crispEdges">'];
+
+        for (let j = 0; j < ny; j++) {
+            for (let i = 0; i < nx; i++) {
+                const x = xMin + i * (xMax - xMin) / (nx - 1);
+                const y = yMin + j * (yMax - yMin) / (ny - 1);
+                const color = '#' + this.renderer.getScalarColor(values[j * nx + i], absMax).getHexString();
+                parts.push(`<rect x="${this.format(this.map.x(x) - cellW / 2)}" y="${this.format(this.map.y(y) - cellH / 2)}" ` +
+                    `width="${this.format(cellW + 0.5)}" height="${this.format(cellH + 0.5)}" fill="${color}"/>`);
+            }
+        }
+
+        parts.push('</g>');
+        return parts.join('\n');
+    }
+
+    /**
+     * Frame, zero lines, ticks with labels and axis titles
+     */
+    buildAxes(bounds, plotHeight) {
+        const { xMin, xMax, yMin, yMax } = bounds;
+        const left = this.margin.left;
+        const top = this.margin.top;
+        const right = left + this.plotWidth;
+        const bottom = top + plotHeight;
+        const parts = ['<g id="axes" stroke="#333333" fill="#333333">'];
+
+        // Zero lines where the axes cross the domain
+        if (xMin < 0 && xMax > 0) {
+            const x0 = this.format(this.map.x(0));
+            parts.push(`<line x1="${x0}" y1="${top}" x2="${x0}" y2="${this.format(bottom)}" stroke="#999999" stroke-width="0.8"/>`);
+        }
+        if (yMin < 0 && yMax > 0) {
+            const y0 = this.format(this.map.y(0));
+            parts.push(`<line x1="${left}" y1="${y0}" x2="${right}" y2="${y0}" stroke="#999999" stroke-width="0.8"/>`);
+        }
+
+        parts.push(`<rect x="${left}" y="${top}" width="${this.plotWidth}" height="${this.format(plotHeight)}" fill="none" stroke-width="1"/>`);
+
+        ColorLegend.getTicks(xMin, xMax).forEach(({ value, label }) => {
+            const x = this.format(this.map.x(value));
+            parts.push(`<line x1="${x}" y1="${this.format(bottom)}" x2="${x}" y2="${this.format(bottom + 5)}" stroke-width="1"/>`);
+            parts.push(`<text x="${x}" y="${this.format(bottom + 18)}" text-anchor="middle" stroke="none">${this.escape(label)}</text>`);
+        });
+
+        ColorLegend.getTicks(yMin, yMax).forEach(({ value, label }) => {
+            const y = this.format(this.map.y(value));
+            parts.push(`<line x1="${left - 5}" y1="${y}" x2="${left}" y2="${y}" stroke-width="1"/>`);
+            parts.push(`<text x="${left - 8}" y="${y}" text-anchor="end" dominant-baseline="middle" stroke="none">${this.escape(label)}</text>`);
+        });
+
+        parts.push(`<text x="${left + this.plotWidth / 2}" y="${this.format(bottom + 40)}" text-anchor="middle" stroke="none" font-style="italic">x</text>`);
+        parts.push(`<text x="${left - 45}" y="${this.format(top + plotHeight / 2)}" text-anchor="middle" stroke="none" font-style="italic">y</text>`);
+        parts.push('</g>');
+        return parts.join('\n');
+    }
+
+    /**
+     * Vertical colorbars beside the plot, the same ones the canvas legend shows
+     * @param {array} colorbars - Array of {title, min, max, colormap}
+     */
+    buildLegend(colorbars, plotHeight) {
+        const top = this.margin.top;
+        const barWidth = 16;
+        const parts = ['<g id="legend">'];
+
+        colorbars.forEach(({ title, min, max, colormap }, index) => {
+            const x = this.margin.left + this.plotWidth + 25 + index * this.legendWidth;
+            const span = max - min;
+            const stops = [];
+            for (let n = 0; n <= 10; n++) {
+                stops.push(`<stop offset="${n / 10}" stop-color="${colormap.css(n / 10)}"/>`);
+            }
+
+            parts.push(`<defs><linearGradient id="colorbar-gradient-${index}" x1="0" y1="1" x2="0" y2="0">${stops.join('')}</linearGradient></defs>`);
+            parts.push(`<rect x="${x}" y="${top}" width="${barWidth}" height="${this.format(plotHeight)}" fill="url(#colorbar-gradient-${index})" stroke="#333333" stroke-width="1"/>`);
+
+            ColorLegend.getTicks(min, max).forEach(({ value, label }) => {
+                const y = this.format(top + plotHeight * (span > 0 ? 1 - (value - min) / span : 0.5));
+                parts.push(`<line x1="${x + barWidth}" y1="${y}" x2="${x + barWidth + 4}" y2="${y}" stroke="#333333" stroke-width="1"/>`);
+                parts.push(`<text x="${x + barWidth + 7}" y="${y}" dominant-baseline="middle">${this.escape(label)}</text>`);
+            });
+
+            parts.push(`<text x="${x + barWidth / 2}" y="${top + plotHeight + 18}" text-anchor="middle">${this.escape(title)}</text>`);
+        });
+
+        parts.push('</g>');
+        return parts.join('\n');
+    }
+
+    colorOf(magnitude, maxMag, direction) {
+        return '#' + new THREE.Color(this.renderer.getColor(magnitude, maxMag, direction)).getHexString();
+    }
+
+    format(value) {
+        return Number(value.toFixed(2));
+    }
+
+    /**
+     * Text as SVG character data, e.g. a colorbar title with '<'
+     */
+    escape(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+}
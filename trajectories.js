@@ -0,0 +1,270 @@
+/**
+ * Trajectory Integrator
+ * Solves dx/dt = F(x, y, t) from clicked seed points with Euler, RK4 or adaptive RK45 steps, for phase portraits
+ */
+
+// Trajectory colors by seed, dark enough to stand out on the field and the heatmap
+const TRAJECTORY_COLORS = ['#2c3e50', '#c0392b', '#8e44ad', '#d35400', '#16a085', '#2980b9'];
+
+class TrajectoryIntegrator {
+    constructor(vectorField) {
+        this.vectorField = vectorField;
+
+        // Integration settings
+        this.maxSteps = 20000;      // Steps per direction
+        this.tolerance = 1e-6;      // RK45 error tolerance relative to domain size
+        this.maxChord = 0.01;       // Longest RK45 step relative to domain size, so curves stay smooth
+        this.singularity = 1e6;     // Above this speed the solution is considered to blow up
+    }
+
+    /**
+     * Integrate forward and backward in time from a seed and join the two halves
+     * @param {object} seed - {x, y}
+     * @param {object} options - {bounds, solver: 'euler'|'rk4'|'rk45', t0, duration, step};
+     *   duration is the time span in each direction, step the fixed step (the initial one for RK45)
+     * @returns {object} - {points: [{x, y, t}] in time order, seedIndex}
+     */
+    trace(seed, options) {
+        const backward = this.integrate(seed, -1, options);
+        const forward = this.integrate(seed, 1, options);
+
+        return {
+            points: backward.reverse().concat(forward.slice(1)),
+            seedIndex: backward.length - 1
+        };
+    }
+
+    /**
+     * Integrate one direction in time until the time span is covered, the solution leaves the domain
+     * (clipped to its edge), runs into a singularity or takes maxSteps
+     * @param {number} direction - 1 for forward, -1 for backward
+     * @returns {array} - Array of {x, y, t}, starting at the seed
+     */
+    integrate(seed, direction, options) {
+        const { bounds, solver = 'rk45', t0 = 0, duration = 10, step = 0.01 } = options;
+        const extent = Math.max(bounds.xMax - bounds.xMin, bounds.yMax - bounds.yMin);
+        const tolerance = extent * this.tolerance;
+        const minStep = Math.max(step, 1e-12) * 1e-6;
+        const points = [{ x: seed.x, y: seed.y, t: t0 }];
+        if (!this.isInside([seed.x, seed.y], bounds)) return points;
+
+        let p = [seed.x, seed.y];
+        let elapsed = 0;
+        let h = step;
+
+        for (let n = 0; n < this.maxSteps && elapsed < duration; n++) {
+            const dt = Math.min(h, duration - elapsed);
+            const t = t0 + direction * elapsed;
+            let next;
+
+            if (solver === 'rk45') {
+                const result = this.rk45Step(p, t, dt * direction, extent);
+                if (!result) {
+                    // Undefined somewhere inside the step, retry smaller
+                    h /= 4;
+                    if (h < minStep) break;
+                    continue;
+                }
+                if (result.limit < dt) {
+                    h = result.limit;
+                    continue;
+                }
+                if (result.error > tolerance && dt > minStep) {
+                    h = Math.max(minStep, dt * Math.max(0.2, 0.9 * Math.pow(tolerance / result.error, 0.2)));
+                    continue;
+                }
+
+                next = result.point;
+                const growth = result.error > 0 ? 0.9 * Math.pow(tolerance / result.error, 0.2) : 5;
+                h = dt * Math.min(5, Math.max(1, growth));
+            } else {
+                next = solver === 'euler' ? this.eulerStep(p, t, dt * direction) : this.rk4Step(p, t, dt * direction);
+                if (!next) break;
+            }
+
+            if (!this.isInside(next, bounds)) {
+                const s = this.getExitFraction(p, next, bounds);
+                points.push({
+                    x: p[0] + (next[0] - p[0]) * s,
+                    y: p[1] + (next[1] - p[1]) * s,
+                    t: t + direction * dt * s
+                });
+                break;
+            }
+
+            elapsed += dt;
+            p = next;
+            points.push({ x: p[0], y: p[1], t: t0 + direction * elapsed });
+        }
+
+        return points;
+    }
+
+    /**
+     * Field velocity at a point and time, null where it is undefined or blows up
+     */
+    velocityAt(p, t) {
+        const vec = this.vectorField.evaluate(p[0], p[1], 0, t);
+        const speed = Math.hypot(vec.x, vec.y);
+        if (!Number.isFinite(speed) || speed > this.singularity) return null;
+        return [vec.x, vec.y];
+    }
+
+    eulerStep(p, t, h) {
+        const k1 = this.velocityAt(p, t);
+        if (!k1) return null;
+        return [p[0] + h * k1[0], p[1] + h * k1[1]];
+    }
+
+    /**
+     * Classic fourth-order Runge-Kutta step
+     */
+    rk4Step(p, t, h) {
+        const k1 = this.velocityAt(p, t);
+        if (!k1) return null;
+        const k2 = this.velocityAt([p[0] + h / 2 * k1[0], p[1] + h / 2 * k1[1]], t + h / 2);
+        if (!k2) return null;
+        const k3 = this.velocityAt([p[0] + h / 2 * k2[0], p[1] + h / 2 * k2[1]], t + h / 2);
+        if (!k3) return null;
+        const k4 = this.velocityAt([p[0] + h * k3[0], p[1] + h * k3[1]], t + h);
+        if (!k4) return null;
+
+        return [
+            p[0] + h / 6 * (k1[0] + 2 * k2[0] + 2 * k3[0] + k4[0]),
+            p[1] + h / 6 * (k1[1] + 2 * k2[1] + 2 * k3[1] + k4[1])
+        ];
+    }
+
+    /**
+     * One Dormand-Prince 5(4) step in time
+     * @returns {object|null} - {point, error, limit}, where limit is the longest step whose chord stays below
+     *   maxChord at the starting speed; null if the field is undefined along the step
+     */
+    rk45Step(p, t, h, extent) {
+        const add = (terms) => {
+            const out = p.slice();
+            for (const [coef, k] of terms) {
+                out[0] += h * coef * k[0];
+                out[1] += h * coef * k[1];
+            }
+            return out;
+        };
+
+        const k1 = this.velocityAt(p, t);
+        if (!k1) return null;
+        const speed = Math.hypot(k1[0], k1[1]);
+        const limit = speed > 0 ? extent * this.maxChord / speed : Infinity;
+        if (limit < Math.abs(h)) return { point: null, error: 0, limit };
+
+        const k2 = this.velocityAt(add([[1 / 5, k1]]), t + h / 5);
+        if (!k2) return null;
+        const k3 = this.velocityAt(add([[3 / 40, k1], [9 / 40, k2]]), t + h * 3 / 10);
+        if (!k3) return null;
+        const k4 = this.velocityAt(add([[44 / 45, k1], [-56 / 15, k2], [32 / 9, k3]]), t + h * 4 / 5);
+        if (!k4) return null;
+        const k5 = this.velocityAt(add([[19372 / 6561, k1], [-25360 / 2187, k2], [64448 / 6561, k3], [-212 / 729, k4]]), t + h * 8 / 9);
+        if (!k5) return null;
+        const k6 = this.velocityAt(add([[9017 / 3168, k1], [-355 / 33, k2], [46732 / 5247, k3], [49 / 176, k4], [-5103 / 18656, k5]]), t + h);
+        if (!k6) return null;
+
+        const point = add([[35 / 384, k1], [500 / 1113, k3], [125 / 192, k4], [-2187 / 6784, k5], [11 / 84, k6]]);
+        const k7 = this.velocityAt(point, t + h);
+        if (!k7) return null;
+
+        // Difference between the 5th and embedded 4th order solutions
+        const e = [71 / 57600, 0, -71 / 16695, 71 / 1920, -17253 / 339200, 22 / 525, -1 / 40];
+        const ks = [k1, k2, k3, k4, k5, k6, k7];
+        let error = 0;
+        for (let axis = 0; axis < 2; axis++) {
+            let sum = 0;
+            for (let s = 0; s < 7; s++) sum += e[s] * ks[s][axis];
+            error = Math.max(error, Math.abs(h * sum));
+        }
+
+        return { point, error, limit };
+    }
+
+    isInside(p, bounds) {
+        return p[0] >= bounds.xMin && p[0] <= bounds.xMax && p[1] >= bounds.yMin && p[1] <= bounds.yMax;
+    }
+
+    /**
+     * Fraction of the step from inside point a to outside point b at which it leaves the domain
+     */
+    getExitFraction(a, b, bounds) {
+        const mins = [bounds.xMin, bounds.yMin];
+        const maxs = [bounds.xMax, bounds.yMax];
+        let s = 1;
+
+        for (let axis = 0; axis < 2; axis++) {
+            const d = b[axis] - a[axis];
+            if (b[axis] > maxs[axis] && d !== 0) s = Math.min(s, (maxs[axis] - a[axis]) / d);
+            if (b[axis] < mins[axis] && d !== 0) s = Math.min(s, (mins[axis] - a[axis]) / d);
+        }
+        return s;
+    }
+
+    /**
+     * Direction arrows spaced evenly along a trajectory, pointing forward in time
+     * @param {number} spacing - Arc length between arrows
+     * @returns {array} - Array of {x, y, direction: [dx, dy]} with unit directions
+     */
+    static getArrows(points, spacing) {
+        const arrows = [];
+        let next = spacing / 2;
+        let length = 0;
+
+        for (let n = 0; n < points.length - 1; n++) {
+            const a = points[n];
+            const b = points[n + 1];
+            const segment = Math.hypot(b.x - a.x, b.y - a.y);
+            if (segment === 0) continue;
+
+            while (next <= length + segment) {
+                const s = (next - length) / segment;
+                arrows.push({
+                    x: a.x + (b.x - a.x) * s,
+                    y: a.y + (b.y - a.y) * s,
+                    direction: [(b.x - a.x) / segment, (b.y - a.y) / segment]
+                });
+                next += spacing;
+            }
+            length += segment;
+        }
+        return arrows;
+    }
+
+    /**
+     * Trajectories as point lists: CSV rows of (trajectory, t, x, y) or JSON with the seed and solver of each
+     * @param {array} trajectories - Array of {id, x, y, t0, points}
+     * @param {object} settings - {solver, duration, step} they were integrated with
+     * @param {string} format - 'csv' or 'json'
+     * @returns {object} - {text, filename, type} for DataExporter.download
+     */
+    static export(trajectories, settings, format) {
+        const round = value => Number(value.toPrecision(7));
+        let text;
+        if (format === 'json') {
+            text = JSON.stringify({
+                solver: settings.solver,
+                duration: settings.duration,
+                step: settings.step,
+                trajectories: trajectories.map(trajectory => ({
+                    id: trajectory.id,
+                    seed: [trajectory.x, trajectory.y],
+                    t0: trajectory.t0,
+                    points: trajectory.points.map(p => [round(p.t), round(p.x), round(p.y)])
+                }))
+            });
+        } else {
+            const lines = ['trajectory,t,x,y'];
+            trajectories.forEach(trajectory => {
+                trajectory.points.forEach(p => lines.push([trajectory.id, round(p.t), round(p.x), round(p.y)].join(',')));
+            });
+            text = lines.join('\n') + '\n';
+        }
+
+        const { extension, type } = DATA_FORMATS[format === 'json' ? 'json' : 'csv'];
+        return { text, filename: `trajectories.${extension}`, type };
+    }
+}
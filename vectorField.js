@@ -3,39 +3,151 @@
  * Parses expressions like "i*x + j*y + k*z" and evaluates them at given points
  */
 
+/**
+ * Supported coordinate systems (spherical uses the physics convention:
+ * theta is the polar angle from +z, phi the azimuth in the XY plane)
+ * Coordinates are defined in terms of x, y, z and unit vectors by their Cartesian components;
+ * aliases are other common names for them, e.g. rho and phi in cylindrical coordinates
+ */
+const COORDINATE_SYSTEMS = {
+    cartesian: {
+        dimensions: [2, 3],
+        variables: {},
+        basis: {}
+    },
+    polar: {
+        dimensions: [2],
+        variables: {
+            r: 'sqrt(x^2 + y^2)',
+            theta: 'atan2(y, x)'
+        },
+        basis: {
+            er: ['x / sqrt(x^2 + y^2)', 'y / sqrt(x^2 + y^2)', null],
+            etheta: ['-y / sqrt(x^2 + y^2)', 'x / sqrt(x^2 + y^2)', null]
+        },
+        aliases: { rho: 'r', phi: 'theta', erho: 'er', ephi: 'etheta' }
+    },
+    cylindrical: {
+        dimensions: [3],
+        variables: {
+            r: 'sqrt(x^2 + y^2)',
+            theta: 'atan2(y, x)'
+        },
+        basis: {
+            er: ['x / sqrt(x^2 + y^2)', 'y / sqrt(x^2 + y^2)', null],
+            etheta: ['-y / sqrt(x^2 + y^2)', 'x / sqrt(x^2 + y^2)', null],
+            ez: [null, null, '1']
+        },
+        aliases: { rho: 'r', phi: 'theta', erho: 'er', ephi: 'etheta' }
+    },
+    spherical: {
+        dimensions: [3],
+        variables: {
+            r: 'sqrt(x^2 + y^2 + z^2)',
+            theta: 'acos(z / sqrt(x^2 + y^2 + z^2))',
+            phi: 'atan2(y, x)'
+        },
+        basis: {
+            er: ['x / sqrt(x^2 + y^2 + z^2)', 'y / sqrt(x^2 + y^2 + z^2)', 'z / sqrt(x^2 + y^2 + z^2)'],
+            etheta: [
+                'x * z / (sqrt(x^2 + y^2 + z^2) * sqrt(x^2 + y^2))',
+                'y * z / (sqrt(x^2 + y^2 + z^2) * sqrt(x^2 + y^2))',
+                '-sqrt(x^2 + y^2) / sqrt(x^2 + y^2 + z^2)'
+            ],
+            ephi: ['-y / sqrt(x^2 + y^2)', 'x / sqrt(x^2 + y^2)', null]
+        }
+    }
+};
+
 class VectorField {
     constructor() {
         this.expression = '';
         this.dimension = 2;
+        this.coordinateSystem = 'cartesian';
+        this.inputMode = 'vector';
+        this.components = null;
+        this.potentialFunction = null;  // Compiled φ in the potential input modes
+        this.numericAxes = [];          // Components of ∇φ math.js could not differentiate
         this.compiledFunction = null;
+        this.jacobianFunctions = null;
+        this.parameterNames = [];   // Symbols besides x, y, z and t, e.g. 'a' or 'omega'
+        this.parameters = {};       // Their values by name, passed into every evaluation
+        this.timeDependent = false; // Whether t appears in the expression
         this.error = null;
     }
 
     /**
      * Parse and compile a vector field expression
+     * Accepts i/j/k notation ("i*(-y) + j*x") or vector literals ("[-y, x]", "<-y, x>")
+     * Curvilinear systems add their coordinates and unit vectors (e.g. "etheta / r" in polar)
+     * and are converted to Cartesian components here
+     * In the potential modes the expression is a scalar φ and the field is ∇φ or -∇φ
      * @param {string} expression - The vector field expression (e.g., "i*(-y) + j*x")
      * @param {number} dimension - 2 for 2D, 3 for 3D
+     * @param {string} coordinateSystem - 'cartesian', 'polar', 'cylindrical' or 'spherical'
+     * @param {string} inputMode - 'vector', 'gradient' (F = ∇φ) or 'negativeGradient' (F = -∇φ)
      * @returns {boolean} - True if parsing succeeded
      */
-    parse(expression, dimension = 2) {
+    parse(expression, dimension = 2, coordinateSystem = 'cartesian', inputMode = 'vector') {
         this.expression = expression;
         this.dimension = dimension;
+        this.coordinateSystem = coordinateSystem;
+        this.inputMode = inputMode;
+        this.potentialFunction = null;
+        this.numericAxes = [];
+        this.timeDependent = false;
         this.error = null;
 
         try {
-            // Preprocess expression to handle common patterns
-            expression = this.preprocessExpression(expression);
-            
-            // Preprocess the expression to extract i, j, k components
-            const components = this.extractComponents(expression);
-            
+            const system = COORDINATE_SYSTEMS[coordinateSystem];
+            if (!system) {
+                throw new Error(`Unknown coordinate system: ${coordinateSystem}`);
+            }
+            if (!system.dimensions.includes(dimension)) {
+                throw new Error(`${coordinateSystem[0].toUpperCase()}${coordinateSystem.slice(1)} coordinates require ${system.dimensions[0]}D`);
+            }
+
+            if (!expression.trim()) {
+                throw new Error(inputMode === 'vector' ? 'Enter a vector field expression' : 'Enter a potential');
+            }
+
+            let vector;
+            let potential = null;
+            if (inputMode === 'vector') {
+                const node = this.resolveAliases(math.parse(this.normalizeVectorLiteral(expression)), system);
+
+                // Walk the syntax tree collecting the coefficient of each unit vector
+                const result = this.collectComponents(node, this.getUnitVectors(system));
+                if (!result.vector) {
+                    throw new Error('Expression has no vector part: use i, j, k or [P, Q, R]');
+                }
+                vector = result.vector.map(c => c && this.toCartesian(c, system));
+            } else if (inputMode === 'gradient' || inputMode === 'negativeGradient') {
+                potential = this.parsePotential(expression, system);
+                vector = this.differentiatePotential(potential, dimension, inputMode === 'negativeGradient');
+            } else {
+                throw new Error(`Unknown input mode: ${inputMode}`);
+            }
+
+            const [xNode, yNode, zNode] = vector;
+            this.components = {
+                x: xNode,
+                y: yNode,
+                z: dimension === 3 ? zNode : null
+            };
+            this.parameterNames = this.findParameters([...Object.values(this.components), potential]);
+            this.timeDependent = this.usesTime([...Object.values(this.components), potential]);
+            this.potentialFunction = potential && potential.compile();
+
             // Compile each component using math.js
             this.compiledFunction = {
-                x: components.i ? math.compile(components.i) : null,
-                y: components.j ? math.compile(components.j) : null,
-                z: components.k && dimension === 3 ? math.compile(components.k) : null
+                x: this.components.x ? this.components.x.compile() : null,
+                y: this.components.y ? this.components.y.compile() : null,
+                z: this.components.z ? this.components.z.compile() : null
             };
 
+            this.compileJacobian(this.components);
+
             return true;
         } catch (e) {
             this.error = e.message;
@@ -44,223 +156,272 @@ class VectorField {
     }
 
     /**
-     * Preprocess expression to handle complex patterns like (i*y+j*x)/(denominator)
+     * Parse a scalar potential into a Cartesian node
      */
-    preprocessExpression(expression) {
-        expression = expression.trim();
-        
-        // Simple approach: Find pattern (stuff with i,j,k)/denominator and expand it
-        // Use a single pass with regex
-        
-        // Pattern 1: (expression with i/j/k)/function(args)
-        // Example: (i*y + j*x)/sqrt(x^2+y^2)
-        const pattern1 = /\(([^()]*[ijk][^()]*)\)\/([a-zA-Z_][a-zA-Z0-9_]*\([^)]+\))/g;
-        expression = expression.replace(pattern1, (match, numerator, denominator) => {
-            const terms = this.splitIntoTerms(numerator);
-            return terms.map(term => {
-                const t = term.trim();
-                if (t.startsWith('+')) {
-                    return '+' + t.substring(1).trim() + '/' + denominator;
-                } else if (t.startsWith('-')) {
-                    return t.trim() + '/' + denominator;
-                } else {
-                    return t + '/' + denominator;
-                }
-            }).join('');
-        });
-        
-        // Pattern 2: (expression with i/j/k)/(parenthesized expression)
-        // Example: (i*y + j*x)/(x^2+y^2)
-        const pattern2 = /\(([^()]*[ijk][^()]*)\)\/\(([^()]+)\)/g;
-        expression = expression.replace(pattern2, (match, numerator, denominator) => {
-            const terms = this.splitIntoTerms(numerator);
-            return terms.map(term => {
-                const t = term.trim();
-                if (t.startsWith('+')) {
-                    return '+' + t.substring(1).trim() + '/(' + denominator + ')';
-                } else if (t.startsWith('-')) {
-                    return t.trim() + '/(' + denominator + ')';
-                } else {
-                    return t + '/(' + denominator + ')';
-                }
-            }).join('');
+    parsePotential(expression, system) {
+        const node = this.resolveAliases(math.parse(expression), system);
+        if (this.collectComponents(node, this.getUnitVectors(system)).vector) {
+            throw new Error('A potential is a scalar: leave out i, j, k and vector literals');
+        }
+        return this.toCartesian(node, system);
+    }
+
+    /**
+     * Components of ∇φ (or -∇φ) as derivative nodes, null where the derivative is zero
+     * Components math.js cannot differentiate (e.g. of atan2) are left null here
+     * and listed in numericAxes, evaluate falls back to central differences of φ for them
+     * @returns {array} - [x, y, z] component nodes
+     */
+    differentiatePotential(potential, dimension, negate) {
+        const axes = dimension === 3 ? ['x', 'y', 'z'] : ['x', 'y'];
+        const vector = [null, null, null];
+
+        axes.forEach((axis, index) => {
+            let derivative;
+            try {
+                // A failed derivative leaves its input partly rewritten, so each axis gets a copy
+                derivative = math.derivative(potential.cloneDeep(), axis);
+            } catch (e) {
+                this.numericAxes.push(axis);
+                return;
+            }
+            if (derivative.isConstantNode && derivative.value === 0) return;
+            vector[index] = negate ? this.negate(derivative) : derivative;
         });
-        
-        return expression;
+
+        return vector;
     }
 
     /**
-     * Extract i, j, k components from the expression
-     * @param {string} expression
-     * @returns {object} - {i: string, j: string, k: string}
+     * Names of the free symbols that are not coordinates, t or math.js constants
+     * Function names are skipped, so 'sin(omega*x)' has the single parameter omega
+     * @param {array} nodes - Component nodes, null for zero components
+     * @returns {array} - Sorted parameter names
      */
-    extractComponents(expression) {
-        // Remove whitespace
-        let expr = expression.replace(/\s+/g, '');
+    findParameters(nodes) {
+        const names = new Set();
+        nodes.filter(Boolean).forEach(node => node.traverse((child, path, parent) => {
+            if (!child.isSymbolNode || (parent && parent.isFunctionNode && path === 'fn')) return;
+            if (['x', 'y', 'z', 't'].includes(child.name)) return;
+            // Built-in constants such as pi and e; a function name used as a value is a parameter
+            if (child.name in math && typeof math[child.name] !== 'function') return;
+            names.add(child.name);
+        }));
+        return [...names].sort();
+    }
 
-        const components = { i: '0', j: '0', k: '0' };
+    /**
+     * Whether t appears as a value in any of the nodes
+     * @param {array} nodes - Component nodes, null for zero components
+     */
+    usesTime(nodes) {
+        return nodes.filter(Boolean).some(node => node.filter((child, path, parent) => {
+            return child.isSymbolNode && child.name === 't' && !(parent && parent.isFunctionNode && path === 'fn');
+        }).length > 0);
+    }
 
-        // Match patterns like: i*(...), j*(...), k*(...)
-        // Also handle: 2*i, -i, i, etc.
+    /**
+     * Whether samples change with t, so they can be reused while animating when they do not
+     */
+    dependsOnTime() {
+        return this.timeDependent;
+    }
 
-        // Replace i, j, k markers with placeholders
-        expr = expr.replace(/\*/g, ' * ');
-        expr = expr.replace(/\+/g, ' + ');
-        expr = expr.replace(/\-/g, ' - ');
+    /**
+     * Rewrite the angle-bracket literal <P, Q, R> as a math.js matrix [P, Q, R]
+     */
+    normalizeVectorLiteral(expression) {
+        const trimmed = expression.trim();
+        if (trimmed.startsWith('<') && trimmed.endsWith('>')) {
+            return `[${trimmed.slice(1, -1)}]`;
+        }
+        return trimmed;
+    }
+
+    /**
+     * Unit vectors available in a coordinate system, as Cartesian component nodes
+     * i, j, k are always available
+     */
+    getUnitVectors(system) {
+        const one = () => new math.ConstantNode(1);
+        const unitVectors = {
+            i: [one(), null, null],
+            j: [null, one(), null],
+            k: [null, null, one()]
+        };
 
-        // Split into terms
-        const terms = this.splitIntoTerms(expression);
+        Object.entries(system.basis).forEach(([name, components]) => {
+            unitVectors[name] = components.map(c => c && math.parse(c));
+        });
 
-        for (let term of terms) {
-            const trimmed = term.trim();
-            if (!trimmed) continue;
+        return unitVectors;
+    }
 
-            // Check which unit vector this term belongs to
-            // Use regex to match i, j, k as separate tokens (not inside function names)
-            // Match i, j, k that are either:
-            // - at start/end of string
-            // - preceded/followed by operators or parentheses
-            if (/(?:^|[^a-z])i(?:[^a-z]|$)/i.test(trimmed)) {
-                const coefficient = this.extractCoefficient(trimmed, 'i');
-                components.i = this.addToComponent(components.i, coefficient);
-            }
-            if (/(?:^|[^a-z])j(?:[^a-z]|$)/i.test(trimmed)) {
-                const coefficient = this.extractCoefficient(trimmed, 'j');
-                components.j = this.addToComponent(components.j, coefficient);
-            }
-            if (/(?:^|[^a-z])k(?:[^a-z]|$)/i.test(trimmed)) {
-                const coefficient = this.extractCoefficient(trimmed, 'k');
-                components.k = this.addToComponent(components.k, coefficient);
+    /**
+     * Rename aliased coordinates and unit vectors to the names the system defines, e.g. rho to r
+     */
+    resolveAliases(node, system) {
+        const aliases = system.aliases || {};
+        return node.transform((child, path, parent) => {
+            const isFunctionName = parent && parent.isFunctionNode && path === 'fn';
+            if (child.isSymbolNode && !isFunctionName && child.name in aliases) {
+                return new math.SymbolNode(aliases[child.name]);
             }
-        }
+            return child;
+        });
+    }
 
-        return components;
+    /**
+     * Replace curvilinear coordinates in a component with their Cartesian definitions
+     */
+    toCartesian(node, system) {
+        return node.transform((child, path, parent) => {
+            const isFunctionName = parent && parent.isFunctionNode && path === 'fn';
+            if (child.isSymbolNode && !isFunctionName && child.name in system.variables) {
+                return new math.ParenthesisNode(math.parse(system.variables[child.name]));
+            }
+            return child;
+        });
     }
 
     /**
-     * Split expression into terms (respecting parentheses)
+     * Recursively split a syntax tree into scalar and vector parts
+     * @param {math.Node} node
+     * @param {object} unitVectors - Unit vector names mapped to Cartesian component nodes
+     * @returns {object} - {scalar: Node} or {vector: [Node|null, Node|null, Node|null]}
      */
-    splitIntoTerms(expression) {
-        const terms = [];
-        let current = '';
-        let parenDepth = 0;
-        let sign = '+';
+    collectComponents(node, unitVectors) {
+        if (node.isParenthesisNode) {
+            return this.collectComponents(node.content, unitVectors);
+        }
 
-        for (let i = 0; i < expression.length; i++) {
-            const char = expression[i];
+        if (node.isSymbolNode) {
+            if (node.name in unitVectors) {
+                return { vector: unitVectors[node.name].slice() };
+            }
+            return { scalar: node };
+        }
 
-            if (char === '(') parenDepth++;
-            if (char === ')') parenDepth--;
+        if (node.isConstantNode) {
+            return { scalar: node };
+        }
 
-            if ((char === '+' || char === '-') && parenDepth === 0) {
-                if (current.trim()) {
-                    terms.push(sign + current);
-                }
-                current = '';
-                sign = char;
-            } else {
-                current += char;
+        if (node.isArrayNode) {
+            if (node.items.length < 2 || node.items.length > 3) {
+                throw new Error(`Vector literal ${node} must have 2 or 3 components`);
             }
+
+            // Literal components follow the coordinate system's own basis (er, etheta, ...)
+            const curvilinear = Object.keys(unitVectors).filter(name => !['i', 'j', 'k'].includes(name));
+            const basis = curvilinear.length > 0 ? curvilinear : ['i', 'j', 'k'];
+
+            return node.items.reduce((sum, item, index) => {
+                const part = item.isArrayNode ? { vector: true } : this.collectComponents(item, unitVectors);
+                if (part.vector) {
+                    throw new Error(`Vector literal components must be scalars in ${node}`);
+                }
+                const scaled = unitVectors[basis[index]].map(c => c && this.multiply(part.scalar, c));
+                return { vector: this.addVectors(sum.vector, scaled, false) };
+            }, { vector: [null, null, null] });
         }
 
-        if (current.trim()) {
-            terms.push(sign + current);
+        if (node.isOperatorNode) {
+            return this.collectOperator(node, unitVectors);
         }
 
-        return terms;
+        if (node.isFunctionNode) {
+            node.args.forEach(arg => {
+                if (this.collectComponents(arg, unitVectors).vector) {
+                    throw new Error(`${node.fn} cannot be applied to a vector in ${node}`);
+                }
+            });
+            return { scalar: node };
+        }
+
+        if (node.isConditionalNode) {
+            [node.condition, node.trueExpr, node.falseExpr].forEach(part => {
+                if (this.collectComponents(part, unitVectors).vector) {
+                    throw new Error(`Conditionals cannot contain vectors in ${node}`);
+                }
+            });
+            return { scalar: node };
+        }
+
+        throw new Error(`Unsupported syntax: ${node}`);
     }
 
     /**
-     * Extract coefficient of a unit vector from a term
+     * Apply distribution rules for an operator node
      */
-    extractCoefficient(term, unitVector) {
-        // Remove spaces
-        term = term.replace(/\s+/g, '');
+    collectOperator(node, unitVectors) {
+        const parts = node.args.map(arg => this.collectComponents(arg, unitVectors));
+        const [a, b] = parts;
 
-        // Remove leading + or - and remember the sign
-        let sign = 1;
-        if (term.startsWith('+')) {
-            term = term.substring(1);
-        } else if (term.startsWith('-')) {
-            sign = -1;
-            term = term.substring(1);
+        // Scalar-only operations are kept as they are
+        if (parts.every(part => !part.vector)) {
+            return { scalar: node };
         }
 
-        // Remove outer wrapping parentheses if present
-        term = term.trim();
-        if (term.startsWith('(') && term.endsWith(')')) {
-            // Check if these are matching outer parens
-            let depth = 0;
-            let isOuter = true;
-            for (let i = 0; i < term.length; i++) {
-                if (term[i] === '(') depth++;
-                if (term[i] === ')') depth--;
-                if (depth === 0 && i < term.length - 1) {
-                    isOuter = false;
-                    break;
+        switch (node.fn) {
+            case 'unaryPlus':
+                return a;
+
+            case 'unaryMinus':
+                return { vector: a.vector.map(c => c && this.negate(c)) };
+
+            case 'add':
+            case 'subtract':
+                if (!a.vector || !b.vector) {
+                    throw new Error(`Cannot add a scalar and a vector in ${node}`);
                 }
-            }
-            if (isOuter) {
-                term = term.slice(1, -1);
-            }
-        }
+                return { vector: this.addVectors(a.vector, b.vector, node.fn === 'subtract') };
 
-        // Find the unit vector as a standalone token (not inside function names)
-        const regex = new RegExp(`(?:^|[^a-z])(${unitVector})(?:[^a-z]|$)`, 'i');
-        const match = term.match(regex);
-        
-        if (!match) return '0';
-        
-        const index = match.index + (match[0].startsWith(unitVector) ? 0 : 1);
-
-        // Extract parts before and after the unit vector
-        let beforeCoef = term.substring(0, index);
-        let afterCoef = term.substring(index + unitVector.length);
-
-        // Remove multiplication signs
-        if (beforeCoef.endsWith('*')) {
-            beforeCoef = beforeCoef.slice(0, -1);
-        }
-        if (afterCoef.startsWith('*')) {
-            afterCoef = afterCoef.slice(1);
-        }
-
-        // Clean up coefficients
-        beforeCoef = beforeCoef.trim();
-        afterCoef = afterCoef.trim();
-
-        // Determine the coefficient
-        let coef = '';
-        
-        if (beforeCoef && afterCoef) {
-            // Has coefficients on both sides (e.g., "2*i*x" -> before="2", after="x")
-            coef = `(${beforeCoef})*(${afterCoef})`;
-        } else if (beforeCoef) {
-            // Has coefficient before (e.g., "y*i")
-            coef = beforeCoef;
-        } else if (afterCoef) {
-            // Has coefficient after (e.g., "i*y")
-            coef = afterCoef;
-        } else {
-            // No coefficient, just the unit vector
-            coef = '1';
-        }
+            case 'multiply':
+                if (a.vector && b.vector) {
+                    throw new Error(`Cannot multiply two vectors in ${node}`);
+                }
+                return a.vector
+                    ? { vector: a.vector.map(c => c && this.multiply(c, b.scalar)) }
+                    : { vector: b.vector.map(c => c && this.multiply(a.scalar, c)) };
 
-        // Apply sign
-        if (sign === -1) {
-            coef = `-(${coef})`;
+            case 'divide':
+                if (b.vector) {
+                    throw new Error(`Cannot divide by a vector in ${node}`);
+                }
+                return {
+                    vector: a.vector.map(c => c && new math.OperatorNode('/', 'divide', [c, b.scalar]))
+                };
+
+            default:
+                throw new Error(`Operator ${node.op} cannot be applied to a vector in ${node}`);
         }
+    }
 
-        return coef;
+    /**
+     * Add or subtract two component arrays, skipping zero (null) components
+     */
+    addVectors(a, b, subtract) {
+        return a.map((c, index) => {
+            const other = b[index];
+            if (!other) return c;
+            if (subtract) {
+                return c ? new math.OperatorNode('-', 'subtract', [c, other]) : this.negate(other);
+            }
+            return c ? new math.OperatorNode('+', 'add', [c, other]) : other;
+        });
     }
 
     /**
-     * Add a coefficient to an existing component
+     * Build coefficient * factor, dropping factors of one from bare unit vectors
      */
-    addToComponent(existing, newCoef) {
-        if (existing === '0') return newCoef;
-        if (newCoef === '0') return existing;
-        return `(${existing}) + (${newCoef})`;
+    multiply(left, right) {
+        if (left.isConstantNode && left.value === 1) return right;
+        if (right.isConstantNode && right.value === 1) return left;
+        return new math.OperatorNode('*', 'multiply', [left, right]);
+    }
+
+    negate(node) {
+        return new math.OperatorNode('-', 'unaryMinus', [node]);
     }
 
     /**
@@ -276,20 +437,119 @@ class VectorField {
             return { x: 0, y: 0, z: 0 };
         }
 
-        const scope = { x, y, z, t };
+        const scope = { ...this.parameters, x, y, z, t };
 
         try {
-            return {
+            const vector = {
                 x: this.compiledFunction.x ? this.compiledFunction.x.evaluate(scope) : 0,
                 y: this.compiledFunction.y ? this.compiledFunction.y.evaluate(scope) : 0,
                 z: this.compiledFunction.z ? this.compiledFunction.z.evaluate(scope) : 0
             };
+            this.numericAxes.forEach(axis => {
+                const h = 1e-4 * Math.max(1, Math.abs(scope[axis]));
+                const plus = this.potentialFunction.evaluate({ ...scope, [axis]: scope[axis] + h });
+                const minus = this.potentialFunction.evaluate({ ...scope, [axis]: scope[axis] - h });
+                const derivative = (plus - minus) / (2 * h);
+                vector[axis] = this.inputMode === 'negativeGradient' ? -derivative : derivative;
+            });
+            return vector;
         } catch (e) {
             console.error('Evaluation error:', e);
             return { x: 0, y: 0, z: 0 };
         }
     }
 
+    /**
+     * Evaluate the potential φ at a point, NaN for fields entered as vectors
+     */
+    evaluatePotential(x, y, z = 0, t = 0) {
+        if (!this.potentialFunction) return NaN;
+
+        try {
+            return this.potentialFunction.evaluate({ ...this.parameters, x, y, z, t });
+        } catch (e) {
+            return NaN;
+        }
+    }
+
+    /**
+     * Compile symbolic partial derivatives of each component
+     * Entries math.js cannot differentiate are left null and fall back to finite differences
+     * @param {object} components - {x, y, z} component nodes (null for zero)
+     */
+    compileJacobian(components) {
+        const variables = ['x', 'y', 'z'];
+
+        this.jacobianFunctions = ['x', 'y', 'z'].map(axis => variables.map(variable => {
+            if (this.numericAxes.includes(axis)) return null;
+            if (!components[axis]) return math.compile('0');
+            try {
+                return math.derivative(components[axis], variable).compile();
+            } catch (e) {
+                return null;
+            }
+        }));
+    }
+
+    /**
+     * Evaluate the Jacobian matrix at a point
+     * @returns {array} - 3x3 matrix J[row][col] = dF_row / d(x, y, z)_col
+     */
+    jacobian(x, y, z = 0, t = 0) {
+        const scope = { ...this.parameters, x, y, z, t };
+        const point = [x, y, z];
+        const components = ['x', 'y', 'z'];
+
+        return [0, 1, 2].map(row => [0, 1, 2].map(col => {
+            const compiled = this.jacobianFunctions ? this.jacobianFunctions[row][col] : null;
+            if (compiled) {
+                try {
+                    return compiled.evaluate(scope);
+                } catch (e) {
+                    // Fall through to finite differences
+                }
+            }
+
+            // Central difference
+            const h = 1e-4 * Math.max(1, Math.abs(point[col]));
+            const plus = point.slice();
+            const minus = point.slice();
+            plus[col] += h;
+            minus[col] -= h;
+            const fPlus = this.evaluate(plus[0], plus[1], plus[2], t)[components[row]];
+            const fMinus = this.evaluate(minus[0], minus[1], minus[2], t)[components[row]];
+            return (fPlus - fMinus) / (2 * h);
+        }));
+    }
+
+    /**
+     * Calculate the divergence at a point
+     */
+    divergence(x, y, z = 0, t = 0) {
+        const J = this.jacobian(x, y, z, t);
+        return this.dimension === 3 ? J[0][0] + J[1][1] + J[2][2] : J[0][0] + J[1][1];
+    }
+
+    /**
+     * Calculate the curl at a point
+     * In 2D only the z component (the scalar curl) is non-zero
+     * @returns {object} - {x, y, z} components of the curl
+     */
+    curl(x, y, z = 0, t = 0) {
+        const J = this.jacobian(x, y, z, t);
+        const curlZ = J[1][0] - J[0][1];
+
+        if (this.dimension === 2) {
+            return { x: 0, y: 0, z: curlZ };
+        }
+
+        return {
+            x: J[2][1] - J[1][2],
+            y: J[0][2] - J[2][0],
+            z: curlZ
+        };
+    }
+
     /**
      * Calculate the magnitude of the vector at a point
      */
@@ -298,95 +558,569 @@ class VectorField {
         return Math.sqrt(vec.x * vec.x + vec.y * vec.y + vec.z * vec.z);
     }
 
+    /**
+     * Evaluate everything the probes show at one point, directly rather than from the grid
+     * @returns {object} - {position, vector, magnitude, divergence, curl, jacobian};
+     *   the Jacobian is 2x2 in 2D and 3x3 in 3D
+     */
+    probe(x, y, z = 0, t = 0) {
+        const vector = this.evaluate(x, y, z, t);
+        const size = this.dimension === 3 ? 3 : 2;
+
+        return {
+            position: { x, y, z },
+            vector,
+            magnitude: Math.sqrt(vector.x * vector.x + vector.y * vector.y + vector.z * vector.z),
+            divergence: this.divergence(x, y, z, t),
+            curl: this.curl(x, y, z, t),
+            jacobian: this.jacobian(x, y, z, t).slice(0, size).map(row => row.slice(0, size))
+        };
+    }
+
     /**
      * Generate a grid of vector field samples
      * @param {object} bounds - {xMin, xMax, yMin, yMax, zMin, zMax}
      * @param {number} density - Number of samples per axis
      * @param {number} t - Time parameter
-     * @returns {array} - Array of {pos: {x,y,z}, vec: {x,y,z}, mag: number}
+     * @returns {object} - {count, positions, vectors, magnitudes, singularCount}; positions and vectors
+     *   are Float32Arrays of x,y,z triples, magnitudes has one entry per sample. Samples where the field
+     *   is NaN or infinite (singular) are kept with a zero vector and a NaN magnitude
      */
     generateGrid(bounds, density, t = 0) {
-        const samples = [];
         const { xMin, xMax, yMin, yMax, zMin = 0, zMax = 0 } = bounds;
+        const nz = this.dimension === 3 ? density : 1;
+        const total = density * density * nz;
+        const positions = new Float32Array(total * 3);
+        const vectors = new Float32Array(total * 3);
+        const magnitudes = new Float32Array(total);
 
-        if (this.dimension === 2) {
-            // 2D grid
-            const xStep = (xMax - xMin) / (density - 1);
-            const yStep = (yMax - yMin) / (density - 1);
+        const xStep = (xMax - xMin) / (density - 1);
+        const yStep = (yMax - yMin) / (density - 1);
+        const zStep = nz > 1 ? (zMax - zMin) / (density - 1) : 0;
+        let count = 0;
+        let singularCount = 0;
 
-            for (let i = 0; i < density; i++) {
-                for (let j = 0; j < density; j++) {
+        for (let i = 0; i < density; i++) {
+            for (let j = 0; j < density; j++) {
+                for (let k = 0; k < nz; k++) {
                     const x = xMin + i * xStep;
                     const y = yMin + j * yStep;
-                    const vec = this.evaluate(x, y, 0, t);
+                    const z = nz > 1 ? zMin + k * zStep : 0;
+                    const vec = this.evaluate(x, y, z, t);
                     const mag = Math.sqrt(vec.x * vec.x + vec.y * vec.y + vec.z * vec.z);
 
-                    // Skip if magnitude is too large (might be singularity)
-                    if (mag < 1000) {
-                        samples.push({
-                            pos: { x, y, z: 0 },
-                            vec,
-                            mag
-                        });
+                    positions.set([x, y, z], count * 3);
+                    // Magnitudes beyond the float32 range count as singular too
+                    if (Number.isFinite(Math.fround(mag))) {
+                        vectors.set([vec.x, vec.y, vec.z], count * 3);
+                        magnitudes[count] = mag;
+                    } else {
+                        magnitudes[count] = NaN;
+                        singularCount++;
                     }
+                    count++;
                 }
             }
-        } else {
-            // 3D grid
-            const xStep = (xMax - xMin) / (density - 1);
-            const yStep = (yMax - yMin) / (density - 1);
-            const zStep = (zMax - zMin) / (density - 1);
-
-            for (let i = 0; i < density; i++) {
-                for (let j = 0; j < density; j++) {
-                    for (let k = 0; k < density; k++) {
-                        const x = xMin + i * xStep;
-                        const y = yMin + j * yStep;
-                        const z = zMin + k * zStep;
-                        const vec = this.evaluate(x, y, z, t);
-                        const mag = Math.sqrt(vec.x * vec.x + vec.y * vec.y + vec.z * vec.z);
-
-                        // Skip if magnitude is too large
-                        if (mag < 1000) {
-                            samples.push({
-                                pos: { x, y, z },
-                                vec,
-                                mag
-                            });
-                        }
+        }
+
+        return { count, positions, vectors, magnitudes, singularCount };
+    }
+
+    /**
+     * Add divergence and curl to each sample
+     * @param {object} samples - Samples from generateGrid
+     * @param {number} t - Time parameter
+     * @returns {object} - The same samples with divergence (one per sample) and curl (x,y,z triples)
+     */
+    addDerivatives(samples, t = 0) {
+        const { count, positions } = samples;
+        samples.divergence = new Float32Array(count);
+        samples.curl = new Float32Array(count * 3);
+
+        for (let n = 0; n < count; n++) {
+            const x = positions[n * 3];
+            const y = positions[n * 3 + 1];
+            const z = positions[n * 3 + 2];
+            const curl = this.curl(x, y, z, t);
+            samples.divergence[n] = this.divergence(x, y, z, t);
+            samples.curl.set([curl.x, curl.y, curl.z], n * 3);
+        }
+        return samples;
+    }
+
+    /**
+     * Sample divergence, scalar curl or the potential on a regular 2D grid for heatmaps and contours
+     * @param {object} bounds - {xMin, xMax, yMin, yMax}
+     * @param {number} resolution - Number of samples per axis
+     * @param {string} quantity - 'divergence', 'curl' or 'potential'
+     * @param {number} t - Time parameter
+     * @returns {object} - {nx, ny, values, min, max}, values indexed [j * nx + i]
+     */
+    generateScalarGrid(bounds, resolution, quantity, t = 0) {
+        const { xMin, xMax, yMin, yMax } = bounds;
+        const values = new Float32Array(resolution * resolution);
+        let min = Infinity;
+        let max = -Infinity;
+
+        for (let j = 0; j < resolution; j++) {
+            for (let i = 0; i < resolution; i++) {
+                const x = xMin + i * (xMax - xMin) / (resolution - 1);
+                const y = yMin + j * (yMax - yMin) / (resolution - 1);
+                let value;
+                if (quantity === 'divergence') {
+                    value = this.divergence(x, y, 0, t);
+                } else if (quantity === 'potential') {
+                    // Undefined like the volume grid, so contours leave singular cells open
+                    value = this.evaluatePotential(x, y, 0, t);
+                    if (!Number.isFinite(value)) value = NaN;
+                } else {
+                    value = this.curl(x, y, 0, t).z;
+                }
+
+                values[j * resolution + i] = value;
+                if (Number.isFinite(value)) {
+                    min = Math.min(min, value);
+                    max = Math.max(max, value);
+                }
+            }
+        }
+
+        if (min > max) {
+            min = 0;
+            max = 0;
+        }
+
+        return { nx: resolution, ny: resolution, values, min, max };
+    }
+
+    /**
+     * Sample a scalar quantity on a 3D grid, e.g. for isosurfaces
+     * @param {string} quantity - 'magnitude', 'divergence', 'potential' or a component 'x', 'y', 'z'
+     * @returns {object} - {nx, ny, nz, values (x fastest, then y, then z), min, max, bounds};
+     *   values are NaN where the field is undefined
+     */
+    generateVolumeGrid(bounds, resolution, quantity, t = 0) {
+        const { xMin, xMax, yMin, yMax, zMin, zMax } = bounds;
+        const values = new Float32Array(resolution * resolution * resolution);
+        let min = Infinity;
+        let max = -Infinity;
+
+        for (let k = 0; k < resolution; k++) {
+            for (let j = 0; j < resolution; j++) {
+                for (let i = 0; i < resolution; i++) {
+                    const x = xMin + i * (xMax - xMin) / (resolution - 1);
+                    const y = yMin + j * (yMax - yMin) / (resolution - 1);
+                    const z = zMin + k * (zMax - zMin) / (resolution - 1);
+                    let value;
+                    if (quantity === 'magnitude') {
+                        value = this.magnitude(x, y, z, t);
+                    } else if (quantity === 'divergence') {
+                        value = this.divergence(x, y, z, t);
+                    } else if (quantity === 'potential') {
+                        value = this.evaluatePotential(x, y, z, t);
+                    } else {
+                        value = this.evaluate(x, y, z, t)[quantity];
+                    }
+
+                    if (!Number.isFinite(Math.fround(value))) value = NaN;
+                    values[(k * resolution + j) * resolution + i] = value;
+                    if (!isNaN(value)) {
+                        min = Math.min(min, value);
+                        max = Math.max(max, value);
                     }
                 }
             }
         }
 
-        return samples;
+        if (min > max) {
+            min = 0;
+            max = 0;
+        }
+
+        return { nx: resolution, ny: resolution, nz: resolution, values, min, max, bounds };
+    }
+
+    /**
+     * Find the range of divergence and curl over samples with derivatives
+     * The curl range is of the scalar curl in 2D and of |curl| in 3D
+     */
+    findDerivativeRanges(samples) {
+        const ranges = {
+            div: { min: Infinity, max: -Infinity },
+            curl: { min: Infinity, max: -Infinity }
+        };
+        const { count, divergence, curl } = samples;
+
+        for (let n = 0; n < count; n++) {
+            const cx = curl[n * 3];
+            const cy = curl[n * 3 + 1];
+            const cz = curl[n * 3 + 2];
+            const curlValue = this.dimension === 3
+                ? Math.sqrt(cx * cx + cy * cy + cz * cz)
+                : cz;
+
+            [['div', divergence[n]], ['curl', curlValue]].forEach(([key, value]) => {
+                if (!Number.isFinite(value)) return;
+                ranges[key].min = Math.min(ranges[key].min, value);
+                ranges[key].max = Math.max(ranges[key].max, value);
+            });
+        }
+
+        Object.values(ranges).forEach(range => {
+            if (range.min > range.max) {
+                range.min = 0;
+                range.max = 0;
+            }
+        });
+
+        return ranges;
     }
 
     /**
-     * Find the maximum magnitude in the field
+     * Find the maximum magnitude in the field, ignoring singular samples
      */
     findMaxMagnitude(samples) {
-        if (samples.length === 0) return 0;
-        return Math.max(...samples.map(s => s.mag));
+        let max = 0;
+        for (let n = 0; n < samples.count; n++) {
+            if (samples.magnitudes[n] > max) max = samples.magnitudes[n];
+        }
+        return max;
     }
 
     /**
-     * Normalize vector magnitudes for visualization
+     * Magnitude below which the given percentage of the non-singular samples lie
+     * @param {number} percentile - 0 to 100
      */
-    normalizeVectors(samples, maxMag) {
-        if (maxMag === 0) return samples;
+    findMagnitudePercentile(samples, percentile) {
+        const finite = samples.magnitudes.filter(Number.isFinite).sort();
+        if (finite.length === 0) return 0;
 
-        return samples.map(sample => {
-            const scale = sample.mag / maxMag;
-            return {
-                ...sample,
-                normalizedVec: {
-                    x: sample.vec.x / maxMag,
-                    y: sample.vec.y / maxMag,
-                    z: sample.vec.z / maxMag
-                },
-                normalizedMag: scale
-            };
+        const index = Math.round(Math.min(Math.max(percentile, 0), 100) / 100 * (finite.length - 1));
+        return finite[index];
+    }
+
+    /**
+     * Find the zeros of a 2D field inside the bounds
+     * Cells where both components change sign are refined with Newton's method
+     * @param {object} bounds - {xMin, xMax, yMin, yMax}
+     * @param {number} resolution - Grid cells per axis used to bracket zeros
+     * @param {number} t - Time parameter
+     * @returns {array} - Array of {x, y, ...classifyCriticalPoint}, with curve: true for a merged curve of zeros
+     */
+    findCriticalPoints(bounds, resolution = 40, t = 0) {
+        if (this.dimension !== 2 || this.error) return [];
+
+        const { xMin, xMax, yMin, yMax } = bounds;
+        const extent = Math.max(xMax - xMin, yMax - yMin);
+        const n = resolution + 1;
+        const fx = new Float64Array(n * n);
+        const fy = new Float64Array(n * n);
+        let scale = 0;
+
+        for (let j = 0; j < n; j++) {
+            for (let i = 0; i < n; i++) {
+                const vec = this.evaluate(xMin + i * (xMax - xMin) / resolution, yMin + j * (yMax - yMin) / resolution, 0, t);
+                fx[j * n + i] = vec.x;
+                fy[j * n + i] = vec.y;
+                if (Number.isFinite(vec.x) && Number.isFinite(vec.y)) {
+                    scale = Math.max(scale, Math.abs(vec.x), Math.abs(vec.y));
+                }
+            }
+        }
+
+        const changesSign = (values, corners) => {
+            let min = Infinity;
+            let max = -Infinity;
+            for (const c of corners) {
+                if (!Number.isFinite(values[c])) return false;
+                min = Math.min(min, values[c]);
+                max = Math.max(max, values[c]);
+            }
+            return min <= 0 && max >= 0;
+        };
+
+        const tolerance = 1e-8 * Math.max(1, scale);
+        const cellSize = Math.min(xMax - xMin, yMax - yMin) / resolution;
+        const points = [];
+
+        for (let j = 0; j < resolution; j++) {
+            for (let i = 0; i < resolution; i++) {
+                const a = j * n + i;
+                const corners = [a, a + 1, a + n, a + n + 1];
+                if (!changesSign(fx, corners) || !changesSign(fy, corners)) continue;
+
+                const zero = this.refineZero(
+                    xMin + (i + 0.5) * (xMax - xMin) / resolution,
+                    yMin + (j + 0.5) * (yMax - yMin) / resolution,
+                    t,
+                    tolerance,
+                    extent
+                );
+                if (!zero || zero.x < xMin || zero.x > xMax || zero.y < yMin || zero.y > yMax) continue;
+
+                // Neighbouring cells bracket the same zero, and Newton stops short of it at slightly
+                // different points near a multiple root; the grid cannot tell apart zeros closer than a cell
+                const duplicate = points.some(p => Math.hypot(p.x - zero.x, p.y - zero.y) < cellSize / 2);
+                if (!duplicate) {
+                    points.push({ ...zero, cell: [i, j], ...this.classifyCriticalPoint(this.jacobian(zero.x, zero.y, 0, t)) });
+                }
+            }
+        }
+
+        return this.mergeZeroCurves(points);
+    }
+
+    /**
+     * Merge degenerate zeros in touching cells into one point in the middle of each run: they lie on
+     * a curve of zeros (e.g. F = (y, x*y) vanishes along y = 0) rather than being isolated
+     * @param {array} points - Critical points with the grid cell [i, j] each was found in
+     * @returns {array} - Critical points without cells; merged ones have curve: true
+     */
+    mergeZeroCurves(points) {
+        const touches = (a, b) => Math.abs(a.cell[0] - b.cell[0]) <= 1 && Math.abs(a.cell[1] - b.cell[1]) <= 1;
+        const withoutCell = ({ cell, ...point }) => point;
+        const merged = new Set();
+        const result = [];
+
+        points.forEach(point => {
+            if (merged.has(point)) return;
+            if (point.type !== 'degenerate') {
+                result.push(withoutCell(point));
+                return;
+            }
+
+            // Flood fill through the degenerate zeros of neighbouring cells
+            const run = [point];
+            merged.add(point);
+            for (let n = 0; n < run.length; n++) {
+                points.forEach(other => {
+                    if (other.type === 'degenerate' && !merged.has(other) && touches(run[n], other)) {
+                        run.push(other);
+                        merged.add(other);
+                    }
+                });
+            }
+            if (run.length === 1) {
+                result.push(withoutCell(point));
+                return;
+            }
+
+            const cx = run.reduce((sum, p) => sum + p.x, 0) / run.length;
+            const cy = run.reduce((sum, p) => sum + p.y, 0) / run.length;
+            const middle = run.reduce((best, p) => {
+                return Math.hypot(p.x - cx, p.y - cy) < Math.hypot(best.x - cx, best.y - cy) ? p : best;
+            });
+            result.push({ ...withoutCell(middle), curve: true });
         });
+
+        return result;
+    }
+
+    /**
+     * Newton iteration for F(x, y) = 0 from a starting guess
+     * @returns {object|null} - {x, y}, or null if it does not converge
+     */
+    refineZero(x, y, t, tolerance, extent) {
+        for (let iteration = 0; iteration < 30; iteration++) {
+            const f = this.evaluate(x, y, 0, t);
+            if (!Number.isFinite(f.x) || !Number.isFinite(f.y)) return null;
+            if (Math.hypot(f.x, f.y) < tolerance) return { x, y };
+
+            const J = this.jacobian(x, y, 0, t);
+            const det = J[0][0] * J[1][1] - J[0][1] * J[1][0];
+            if (!Number.isFinite(det) || det === 0) return null;
+
+            const dx = (J[1][1] * f.x - J[0][1] * f.y) / det;
+            const dy = (J[0][0] * f.y - J[1][0] * f.x) / det;
+            x -= dx;
+            y -= dy;
+
+            // Wandered far away from the cell it started in
+            if (Math.hypot(dx, dy) > extent) return null;
+        }
+
+        const f = this.evaluate(x, y, 0, t);
+        return Math.hypot(f.x, f.y) < tolerance ? { x, y } : null;
+    }
+
+    /**
+     * Classify a critical point from the eigenvalues of its 2D Jacobian
+     * @param {array} J - Jacobian from jacobian()
+     * @returns {object} - {type, stable, eigenvalues: [{re, im}], eigenvectors: [[x, y]] (real eigenvalues only)}
+     *   type is 'source', 'sink', 'saddle', 'center', 'spiral' or 'degenerate';
+     *   stable is true for sinks and inward spirals, false for sources, saddles and outward spirals
+     */
+    classifyCriticalPoint(J) {
+        const [[a, b], [c, d]] = J;
+        const trace = a + d;
+        const det = a * d - b * c;
+        const disc = trace * trace - 4 * det;
+        const scale = Math.max(Math.abs(a), Math.abs(b), Math.abs(c), Math.abs(d), 1e-12);
+        const eps = 1e-6 * scale;
+
+        let eigenvalues;
+        let eigenvectors = [];
+        if (disc < 0) {
+            const im = Math.sqrt(-disc) / 2;
+            eigenvalues = [{ re: trace / 2, im }, { re: trace / 2, im: -im }];
+        } else {
+            const root = Math.sqrt(disc);
+            eigenvalues = [{ re: (trace + root) / 2, im: 0 }, { re: (trace - root) / 2, im: 0 }];
+
+            // (A - lambda I) v = 0, using whichever row gives the longer vector
+            eigenvectors = eigenvalues.map(({ re }) => {
+                const fromFirst = [b, re - a];
+                const fromSecond = [re - d, c];
+                const v = Math.hypot(...fromFirst) >= Math.hypot(...fromSecond) ? fromFirst : fromSecond;
+                const length = Math.hypot(...v);
+                return length > 0 ? [v[0] / length, v[1] / length] : [1, 0];
+            });
+        }
+
+        let type;
+        if (Math.abs(det) < eps * scale) {
+            type = 'degenerate';
+        } else if (det < 0) {
+            type = 'saddle';
+        } else if (disc < 0) {
+            type = Math.abs(trace) < eps ? 'center' : 'spiral';
+        } else {
+            type = trace > 0 ? 'source' : 'sink';
+        }
+
+        const stable = type === 'sink' || (type === 'spiral' && trace < 0)
+            ? true
+            : (type === 'center' || type === 'degenerate' ? null : false);
+
+        return { type, stable, eigenvalues, eigenvectors };
+    }
+
+    /**
+     * Map magnitudes to display lengths between 0 and 1 for arrows
+     * Magnitudes above maxMag are clipped to 1; singular samples get NaN
+     * @param {number} maxMag - Magnitude drawn at full length (the clipping threshold)
+     * @param {string} scaling - 'linear', 'sqrt', 'log' (three decades below maxMag) or
+     *   'uniform' (every arrow full length, magnitude shown by color only)
+     * @returns {object} - The same samples with normalizedVectors (direction times display length),
+     *   normalizedMagnitudes and clippedCount
+     */
+    normalizeVectors(samples, maxMag, scaling = 'linear') {
+        const { count, vectors, magnitudes } = samples;
+        const normalizedVectors = new Float32Array(count * 3);
+        const normalizedMagnitudes = new Float32Array(count);
+        let clippedCount = 0;
+
+        for (let n = 0; n < count; n++) {
+            const mag = magnitudes[n];
+            if (!Number.isFinite(mag)) {
+                normalizedMagnitudes[n] = NaN;
+                continue;
+            }
+            if (mag === 0 || maxMag === 0) continue;
+
+            if (mag > maxMag) clippedCount++;
+            const ratio = Math.min(mag / maxMag, 1);
+            let length;
+            switch (scaling) {
+                case 'sqrt':
+                    length = Math.sqrt(ratio);
+                    break;
+                case 'log':
+                    length = Math.log1p(999 * ratio) / Math.log(1000);
+                    break;
+                case 'uniform':
+                    length = 1;
+                    break;
+                default:
+                    length = ratio;
+            }
+
+            normalizedMagnitudes[n] = length;
+            for (let c = 0; c < 3; c++) {
+                normalizedVectors[n * 3 + c] = vectors[n * 3 + c] / mag * length;
+            }
+        }
+
+        samples.normalizedVectors = normalizedVectors;
+        samples.normalizedMagnitudes = normalizedMagnitudes;
+        samples.clippedCount = clippedCount;
+        return samples;
+    }
+}
+
+
+/**
+ * Vector field derived from two other fields
+ * Supports the sum, difference and cross product of fields A and B
+ */
+class DerivedVectorField extends VectorField {
+    constructor() {
+        super();
+        this.operation = 'sum';
+        this.fieldA = null;
+        this.fieldB = null;
+    }
+
+    /**
+     * Combine two parsed fields
+     * @param {string} operation - 'sum', 'difference' or 'cross'
+     * @param {VectorField} fieldA
+     * @param {VectorField} fieldB
+     * @param {number} dimension - 2 for 2D, 3 for 3D
+     * @returns {boolean} - True if the combination is valid
+     */
+    combine(operation, fieldA, fieldB, dimension = 2) {
+        this.operation = operation;
+        this.fieldA = fieldA;
+        this.fieldB = fieldB;
+        this.dimension = dimension;
+        this.error = null;
+
+        // Derivatives come from finite differences of the combined field
+        this.compiledFunction = null;
+        this.jacobianFunctions = null;
+
+        if (!fieldA || !fieldB) {
+            this.error = 'Both source fields are required';
+        } else if (fieldA.error || fieldB.error) {
+            this.error = 'A source field has an error';
+        } else if (operation === 'cross' && dimension !== 3) {
+            this.error = 'The cross product of 2D fields points out of the plane; switch to 3D';
+        } else if (!['sum', 'difference', 'cross'].includes(operation)) {
+            this.error = `Unknown operation: ${operation}`;
+        }
+
+        return !this.error;
+    }
+
+    dependsOnTime() {
+        return !this.error && (this.fieldA.dependsOnTime() || this.fieldB.dependsOnTime());
+    }
+
+    /**
+     * Evaluate the combined field at a point
+     */
+    evaluate(x, y, z = 0, t = 0) {
+        if (this.error || !this.fieldA || !this.fieldB) {
+            return { x: 0, y: 0, z: 0 };
+        }
+
+        const a = this.fieldA.evaluate(x, y, z, t);
+        const b = this.fieldB.evaluate(x, y, z, t);
+
+        switch (this.operation) {
+            case 'sum':
+                return { x: a.x + b.x, y: a.y + b.y, z: a.z + b.z };
+            case 'difference':
+                return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+            case 'cross':
+                return {
+                    x: a.y * b.z - a.z * b.y,
+                    y: a.z * b.x - a.x * b.z,
+                    z: a.x * b.y - a.y * b.x
+                };
+            default:
+                return { x: 0, y: 0, z: 0 };
+        }
     }
 }
@@ -0,0 +1,207 @@
+/**
+ * Video Exporter
+ * Renders a range of t frame by frame at a fixed size and encodes it as WebM,
+ * or as a ZIP of numbered PNG frames where MediaRecorder is not available
+ */
+
+class VideoExporter {
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.cancelled = false;
+    }
+
+    /**
+     * Whether the browser can record the canvas to WebM
+     */
+    static supportsWebM() {
+        return typeof MediaRecorder !== 'undefined' &&
+            typeof HTMLCanvasElement.prototype.captureStream === 'function' &&
+            MediaRecorder.isTypeSupported('video/webm');
+    }
+
+    /**
+     * Evenly spaced t values from tStart to tEnd, both included
+     * @returns {array} - One t per frame
+     */
+    getFrameTimes(tStart, tEnd, duration, fps) {
+        const frames = Math.max(1, Math.round(duration * fps));
+        if (frames === 1) return [tStart];
+
+        return Array.from({ length: frames }, (_, n) => tStart + (tEnd - tStart) * n / (frames - 1));
+    }
+
+    /**
+     * Render and encode all frames
+     * @param {object} options - {tStart, tEnd, duration, fps, width, height, format, renderFrame, onProgress}
+     *   renderFrame(t, n) draws frame n into the scene and may return a Promise; onProgress(ratio) reports progress
+     * @returns {Promise<object|null>} - {blob, filename}, or null when cancelled
+     */
+    async export(options) {
+        const { tStart, tEnd, duration, fps, width, height, format = 'webm', renderFrame, onProgress = () => {} } = options;
+        const times = this.getFrameTimes(tStart, tEnd, duration, fps);
+        this.cancelled = false;
+
+        this.renderer.setRenderSize(width, height);
+        try {
+            if (format === 'webm' && VideoExporter.supportsWebM()) {
+                const blob = await this.recordWebM(times, fps, renderFrame, onProgress);
+                return blob && { blob, filename: 'vector-field.webm' };
+            }
+
+            const blob = await this.recordFrames(times, renderFrame, onProgress);
+            return blob && { blob, filename: 'vector-field-frames.zip' };
+        } finally {
+            this.renderer.restoreRenderSize();
+        }
+    }
+
+    /**
+     * Stop after the current frame
+     */
+    cancel() {
+        this.cancelled = true;
+    }
+
+    /**
+     * Record the canvas with MediaRecorder, one requested frame per t
+     * The recorder is paused while a frame is computed so slow frames keep their length
+     */
+    async recordWebM(times, fps, renderFrame, onProgress) {
+        const stream = this.renderer.canvas.captureStream(0);
+        const track = stream.getVideoTracks()[0];
+        const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+            .find(type => MediaRecorder.isTypeSupported(type));
+        const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 8000000 });
+        const chunks = [];
+        recorder.ondataavailable = (e) => {
+            if (e.data.size > 0) chunks.push(e.data);
+        };
+        const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+        recorder.start();
+        recorder.pause();
+
+        for (let n = 0; n < times.length && !this.cancelled; n++) {
+            await this.drawFrame(renderFrame, times[n], n);
+            recorder.resume();
+            track.requestFrame();
+            await new Promise(resolve => setTimeout(resolve, 1000 / fps));
+            recorder.pause();
+            onProgress((n + 1) / times.length);
+        }
+
+        recorder.stop();
+        await stopped;
+        stream.getTracks().forEach(t => t.stop());
+
+        return this.cancelled ? null : new Blob(chunks, { type: 'video/webm' });
+    }
+
+    /**
+     * Capture every frame as a PNG and pack them into a ZIP
+     */
+    async recordFrames(times, renderFrame, onProgress) {
+        const files = [];
+        const digits = Math.max(4, String(times.length).length);
+
+        for (let n = 0; n < times.length && !this.cancelled; n++) {
+            await this.drawFrame(renderFrame, times[n], n);
+            // toBlob copies the canvas right away, before the WebGL buffer is cleared
+            const blob = await new Promise(resolve => this.renderer.canvas.toBlob(resolve, 'image/png'));
+            files.push({
+                name: `frame_${String(n).padStart(digits, '0')}.png`,
+                data: new Uint8Array(await blob.arrayBuffer())
+            });
+            onProgress((n + 1) / times.length);
+        }
+
+        return this.cancelled ? null : this.createZip(files);
+    }
+
+    async drawFrame(renderFrame, t, n) {
+        await renderFrame(t, n);
+        this.renderer.renderer.render(this.renderer.scene, this.renderer.camera);
+    }
+
+    /**
+     * Build an uncompressed ZIP archive (PNGs are already compressed)
+     * @param {array} files - Array of {name, data: Uint8Array}
+     * @returns {Blob}
+     */
+    createZip(files) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        const directory = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const crc = this.crc32(file.data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);       // Local file header signature
+            local.setUint16(4, 20, true);               // Version needed
+            local.setUint16(10, 0, true);               // Modification time
+            local.setUint16(12, 0x21, true);            // Modification date (1980-01-01)
+            local.setUint32(14, crc, true);
+            local.setUint32(18, file.data.length, true);
+            local.setUint32(22, file.data.length, true);
+            local.setUint16(26, name.length, true);
+            parts.push(local, name, file.data);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);     // Central directory signature
+            central.setUint16(4, 20, true);             // Version made by
+            central.setUint16(6, 20, true);             // Version needed
+            central.setUint16(14, 0x21, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, file.data.length, true);
+            central.setUint32(24, file.data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);        // Local header offset
+            directory.push(central, name);
+
+            offset += 30 + name.length + file.data.length;
+        });
+
+        const directorySize = directory.reduce((sum, part) => sum + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);             // End of central directory signature
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+    }
+
+    crc32(data) {
+        if (!VideoExporter.crcTable) {
+            VideoExporter.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                VideoExporter.crcTable[n] = c;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < data.length; i++) {
+            crc = VideoExporter.crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * Download an exported video or archive
+     */
+    download(blob, filename) {
+        const link = document.createElement('a');
+        link.download = filename;
+        link.href = URL.createObjectURL(blob);
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+}